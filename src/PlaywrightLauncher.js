@@ -4,6 +4,14 @@ import { loadConnector } from './connector-loader.js';
 import { CliskPage } from './clisk-page.js';
 import { PilotService } from './services/pilot-service.js';
 import { WorkerService } from './services/worker-service.js';
+import { loadLauncherContext, saveJobResult, startNextJob } from './launcher-context.js';
+import { resolveScenario } from './scenarios.js';
+import { OfflineClient } from './offline-client.js';
+import { RunReportCollector, writeRunReport, getRunDir } from './run-report.js';
+import { TraceRecorder } from './trace-recorder.js';
+import { PostMeRecorder, ReplayConnection, getDefaultTranscriptPath, readTranscript } from './post-me-transcript.js';
+import { ControlServer } from './control-server.js';
+import { getRecordHarContextOptions, replayHarInContext } from './network-har.js';
 import flag from 'cozy-flags';
 import { listFlags, initialize } from 'cozy-flags/dist/flag.js';
 
@@ -14,12 +22,14 @@ const { createClientInteractive } = cliPkg;
 // import credentials file for token access
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
 const log = getLogger('clisk:launcher:playwright');
 
-class PlaywrightLauncher {
+class PlaywrightLauncher extends EventEmitter {
   constructor() {
+    super();
     this.browser = null;
     this.context = null;
     this.pilotPage = null;
@@ -29,16 +39,81 @@ class PlaywrightLauncher {
     this.connectorPath = null;
     this.isInitialized = false;
     this.destinationFolder = null;
+    this.launcherContext = null;
+    this.recorder = null;
+    this.replayConnection = null;
+    this.replayEntries = null;
+    this.stepResults = [];
+    this.runReport = null;
+    this.runReportPaths = null;
+    this.startTime = null;
+    this.isRunDirUsed = false;
+    this.snapshots = true;
+    this.traceRecorder = null;
+    this.tracePath = null;
+    this.controlServer = null;
+    this.launcherContextDir = undefined;
+    this.injection = 'script-tag';
+    this.strictJson = false;
   }
 
+  /**
+   * Launch the browser, load the connector in both pages and connect them
+   * The run report and the page snapshots are also saved when the initialization fails
+   * @param {string} connectorPath - Path to the connector directory
+   * @param {Object} options - Launcher options
+   */
   async init(connectorPath = 'examples/evaluate-konnector', options = {}) {
+    this.startTime = Date.now();
+    // Created first, to report a failure to launch the browser
+    this.runReport = options.report === false ? null : new RunReportCollector(this.startTime);
+
+    try {
+      await this.setup(connectorPath, options);
+    } catch (error) {
+      log('❌ Error during init: %O', error);
+      await this.captureFailureSnapshots();
+      await this.writeRunReport([], error);
+      throw error;
+    }
+  }
+
+  /**
+   * Initialization steps of init()
+   * @private
+   */
+  async setup(connectorPath, options) {
     log('🚀 Initializing PlaywrightLauncher...');
     log(`📁 Using connector: ${connectorPath}`);
 
     this.connectorPath = connectorPath;
 
     // Get configuration options
-    const { profile, browser: browserConfig, mobile: mobileConfig, targetedInstance, destinationFolder } = options;
+    const {
+      profile,
+      browser: browserConfig,
+      mobile: mobileConfig,
+      targetedInstance,
+      destinationFolder,
+      simulation,
+      offline,
+      record,
+      replay,
+      recordHar,
+      replayHar,
+      client,
+      snapshots = true,
+      trace,
+      control,
+      launcherContextDir,
+      injection = 'script-tag',
+      strictJson = false
+    } = options;
+
+    this.snapshots = snapshots;
+    this.launcherContextDir = launcherContextDir;
+    this.injection = injection;
+    this.strictJson = strictJson;
 
     this.destinationFolder = destinationFolder;
     log('📦 destinationFolder set on launcher: %s', this.destinationFolder);
@@ -65,21 +140,30 @@ class PlaywrightLauncher {
     }
     //////////////////////////////////////////////////////
 
-    const scopes = await loadScopesFromManifestStrict({ connectorPath, __dirname, log });
-
-    this.cozyClient = await createClientInteractive({
-      uri: targetedInstance,
-      scope: scopes,
-      oauth: {
-        softwareID: 'cliskDevRunner'
-      },
-      appMetadata: {
-        slug: 'cliskDevRunner'
-      }
-    });
+    if (client) {
+      // Client given by the caller, like an OfflineClient in a test suite
+      this.cozyClient = client;
+      log('🔌 Using the launcher client given in options');
+    } else if (offline) {
+      // The offline client is created once the connector slug is known
+      log('📴 Offline mode: documents and files are saved in the local offline stack');
+    } else {
+      const scopes = await loadScopesFromManifestStrict({ connectorPath, __dirname, log });
+
+      this.cozyClient = await createClientInteractive({
+        uri: targetedInstance,
+        scope: scopes,
+        oauth: {
+          softwareID: 'cliskDevRunner'
+        },
+        appMetadata: {
+          slug: 'cliskDevRunner'
+        }
+      });
 
-    // Initialize cozy-flags
-    await initialize(this.cozyClient);
+      // Initialize cozy-flags
+      await initialize(this.cozyClient);
+    }
 
     // Determine user data directory based on profile
     let userDataDir = null;
@@ -125,6 +209,12 @@ class PlaywrightLauncher {
       colorScheme: 'light'
     };
 
+    // Network of both pages is saved in a HAR file when the context is closed
+    if (recordHar) {
+      Object.assign(contextOptions, getRecordHarContextOptions(recordHar));
+      log('📼 Recording network in HAR file: %s', recordHar);
+    }
+
     if (userDataDir) {
       // Use launchPersistentContext for profiles
       this.context = await chromium.launchPersistentContext(userDataDir, {
@@ -138,16 +228,42 @@ class PlaywrightLauncher {
       this.context = await this.browser.newContext(contextOptions);
     }
 
+    // Routes are set on the context, so they also apply after worker navigations and reconnections
+    if (replayHar) {
+      await replayHarInContext(this.context, replayHar);
+      log('📼 Replaying network from HAR file: %s (requests missing from the HAR are aborted)', replayHar);
+    }
+
+    // trace is a zip path, or true / empty string for runs/<slug>-<date>/trace.zip
+    if (trace !== undefined && trace !== false) {
+      this.tracePath = typeof trace === 'string' && trace ? trace : null;
+      this.traceRecorder = new TraceRecorder(this.context);
+      await this.traceRecorder.start(connectorPath);
+      log('🎞️ Playwright tracing started');
+    }
+
     // Create CliskPage instances for pilot and worker
-    this.workerPage = new CliskPage(this.context, 'worker');
-    this.pilotPage = new CliskPage(this.context, 'pilot');
+    this.workerPage = new CliskPage(this.context, 'worker', { strictJson });
+    this.pilotPage = new CliskPage(this.context, 'pilot', { strictJson });
 
     // Create specialized services
-    this.workerService = new WorkerService(this.workerPage);
+    this.workerService = new WorkerService(this.workerPage, this.pilotPage);
     this.pilotService = new PilotService(this.pilotPage, this.workerPage, this.workerService);
 
     this.pilotService.destinationFolder = this.destinationFolder;
 
+    // Collect what happens during the execution for the run report written by start()
+    this.runReport?.attach({ pilotPage: this.pilotPage, pilotService: this.pilotService, workerService: this.workerService });
+    this.traceRecorder?.attach({ pilotPage: this.pilotPage, workerService: this.workerService });
+
+    // control is true, or the ControlServer options ({ port, host })
+    if (control) {
+      this.controlServer = new ControlServer(this, typeof control === 'object' ? control : {});
+      this.controlServer.attach({ pilotPage: this.pilotPage, workerPage: this.workerPage, workerService: this.workerService });
+      const controlUrl = await this.controlServer.start();
+      log('🎛️ Control server listening on %s (WebSocket: %s/ws)', controlUrl, controlUrl.replace('http', 'ws'));
+    }
+
     this.pilotService.setLauncherClient(this.cozyClient);
 
     // Initialize pages SEQUENTIALLY to avoid Playwright exposeFunction conflicts
@@ -158,35 +274,169 @@ class PlaywrightLauncher {
     await this.workerPage.init();
     log('✅ Worker page initialized');
 
+    // The worker is hidden from the user until the connector asks to show it
+    this.workerService.on('worker:visibility', ({ visible }) => log(visible ? '👀 Worker shown to the user' : '🙈 Worker hidden from the user'));
+    this.pilotService.on('worker:hidden-interaction', ({ method }) => log("⚠️ runInWorker('%s') waits for the user while the worker is hidden, call setWorkerState({ visible: true }) first", method));
+    await this.workerService.setVisible(false);
+
     // Navigate both pages to blank page
     await Promise.all([this.workerPage.navigate('about:blank'), this.pilotPage.navigate('about:blank')]);
 
-    // Load connector on both pages
-    log('📦 Loading connectors on both pages...');
-    const [konnector] = await Promise.all([this.workerPage.loadConnector(this.connectorPath, loadConnector), this.pilotPage.loadConnector(this.connectorPath, loadConnector)]);
+    // Load connector on both pages, the replayed worker does not need it
+    log('📦 Loading connectors on both pages (worker injection: %s)...', this.injection);
+    const [konnector] = await Promise.all([
+      this.pilotPage.loadConnector(this.connectorPath, loadConnector),
+      replay ? Promise.resolve() : this.workerPage.loadConnector(this.connectorPath, loadConnector, { injection: this.injection })
+    ]);
     this.pilotService.setKonnector(konnector);
     log('📦 Loaded');
 
+    // record is a transcript path, or true / empty string for a default path in data/transcripts
+    if (record !== undefined && record !== false) {
+      const transcriptPath = typeof record === 'string' && record ? record : getDefaultTranscriptPath(konnector.slug);
+      this.recorder = new PostMeRecorder(transcriptPath, { connector: konnector.slug, connectorVersion: konnector.version, replay: replay || undefined });
+      this.recorder.attach(this.pilotPage);
+      this.recorder.attach(this.workerPage);
+      log('🎙️ Recording post-me messages in %s', transcriptPath);
+    }
+
+    if (offline && !client) {
+      // Files and documents are created by the connector, like with the launcher client on the phone
+      this.cozyClient = new OfflineClient({ appMetadata: { slug: konnector.slug } });
+      this.pilotService.setLauncherClient(this.cozyClient);
+      log('📴 Offline stack ready in %s', this.cozyClient.dir);
+    }
+
+    // Fake account, trigger and job documents, as given by the React Native launcher
+    this.launcherContext = await loadLauncherContext(konnector, simulation, this.launcherContextDir);
+    this.pilotService.setLauncherContext(this.launcherContext);
+    log('🧾 Launcher context ready (account: %s, trigger: %s)', this.launcherContext.account._id, this.launcherContext.trigger._id);
+
     // Setup service-specific local methods
     this.pilotPage.addLocalMethods(this.pilotService.getLocalMethods());
     this.workerPage.addLocalMethods(this.workerService.getLocalMethods());
 
-    // Enable URL monitoring for worker only (not for pilot)
-    this.workerService.enableUrlMonitoring();
+    if (replay) {
+      // Worker responses are read once, each connector reload replays them from the start
+      const { header, entries } = readTranscript(replay);
+      if (header.connector !== konnector.slug) {
+        log('⚠️ Transcript %s was recorded with %s, not %s', replay, header.connector, konnector.slug);
+      }
+      this.replayEntries = entries.filter(entry => entry.page === 'worker');
+      log('🔁 Replaying worker responses recorded on %s (%s)', header.startedAt, replay);
+    }
 
-    // Initiate handshakes in parallel with appropriate content script types
-    const [workerConnection, pilotConnection] = await Promise.all([this.workerPage.initiateHandshake({}, 'worker'), this.pilotPage.initiateHandshake({}, 'pilot')]);
+    await this.connectPages();
 
     this.isInitialized = true;
     log('✅ PlaywrightLauncher initialized successfully!');
   }
 
-  async start() {
+  /**
+   * Handshake with the connector on both pages, or on the pilot only when worker responses are replayed
+   * @private
+   */
+  async connectPages() {
+    if (this.replayEntries) {
+      // The pilot runs for real against the worker responses of a recorded run
+      this.replayConnection = new ReplayConnection(this.replayEntries, this.workerPage.getLocalMethods());
+      this.workerPage.attachConnection(this.replayConnection);
+
+      await this.pilotPage.initiateHandshake({}, 'pilot');
+    } else {
+      // Enable URL monitoring for worker only (not for pilot)
+      this.workerService.enableUrlMonitoring();
+
+      // Initiate handshakes in parallel with appropriate content script types
+      await Promise.all([this.workerPage.initiateHandshake({}, 'worker'), this.pilotPage.initiateHandshake({}, 'pilot')]);
+    }
+  }
+
+  /**
+   * Inject the connector code again in both pages and redo the handshakes, used by watch mode after a rebuild
+   * Pages go back to about:blank to get a fresh JavaScript context, the browser context and its cookies are kept
+   * @returns {Promise<Object>} manifest of the reloaded connector
+   */
+  async reloadConnector() {
+    if (!this.isInitialized) {
+      throw new Error('PlaywrightLauncher must be initialized before reloading the connector');
+    }
+    log('♻️ Reloading connector %s...', this.connectorPath);
+    this.startNewRun();
+
+    try {
+      return await this.reload();
+    } catch (error) {
+      log('❌ Error during connector reload: %O', error);
+      this.isRunDirUsed = true;
+      await this.captureFailureSnapshots();
+      await this.writeRunReport([], error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reload steps of reloadConnector()
+   * @private
+   */
+  async reload() {
+    // The navigation to about:blank must not start a worker reconnection with the old code
+    if (this.workerService.isMonitoring()) {
+      this.workerService.disableUrlMonitoring();
+    }
+    for (const cliskPage of [this.pilotPage, this.workerPage]) {
+      const connection = cliskPage.getConnection();
+      if (connection) {
+        try {
+          connection.close();
+        } catch (error) {
+          log('⚠️ Error closing %s connection: %O', cliskPage.pageName, error);
+        }
+      }
+    }
+
+    if (this.pilotService.isWorkerInteractionBlocked()) {
+      await this.pilotService.unblockWorkerInteraction();
+    }
+    await this.workerService.setVisible(false);
+    if (this.injection === 'init-script' && !this.replayEntries) {
+      // The previous connector code is registered as an init script of the worker page, which cannot be removed
+      await this.workerPage.renewPage();
+    }
+    await Promise.all([this.workerPage.navigate('about:blank'), this.pilotPage.navigate('about:blank')]);
+
+    const [konnector] = await Promise.all([
+      this.pilotPage.loadConnector(this.connectorPath, loadConnector),
+      this.replayEntries ? Promise.resolve() : this.workerPage.loadConnector(this.connectorPath, loadConnector, { injection: this.injection })
+    ]);
+    this.pilotService.setKonnector(konnector);
+
+    await this.connectPages();
+    log('♻️ Connector %s v%s reloaded', konnector.name, konnector.version);
+    return konnector;
+  }
+
+  /**
+   * Run the connector lifecycle
+   * @param {Object} options - Start options
+   * @param {string|Array<string>} options.scenario - Scenario name or list of lifecycle steps (see scenarios.js)
+   */
+  async start({ scenario = 'default' } = {}) {
     if (!this.isInitialized) {
       throw new Error('PlaywrightLauncher must be initialized before starting');
     }
 
-    log('🚀 Starting PlaywrightLauncher...');
+    // In watch mode, fetch can be run again alone with the sourceAccountIdentifier of the first run
+    const steps = resolveScenario(scenario, { hasUserData: Boolean(this.pilotService.getUserData()?.sourceAccountIdentifier) });
+    log('🚀 Starting PlaywrightLauncher with steps: %s', steps.join(' → '));
+    this.startNewRun();
+    this.isRunDirUsed = true;
+    this.stepResults = [];
+    // Reruns get their own job, on the trigger state saved by the previous execution
+    if (this.launcherContext?.job.finished_at) {
+      startNextJob(this.launcherContext);
+    }
+    let runError = null;
 
     try {
       const pilotConnection = this.pilotPage.getConnection();
@@ -204,23 +454,180 @@ class PlaywrightLauncher {
         }
       }
 
-      log('🔐 Calling ensureAuthenticated on pilot...');
-      await pilotConnection.remoteHandle().call('ensureAuthenticated', { account: {} });
-      log('✅ ensureAuthenticated completed successfully!');
-      log('🔐 Calling getUserDataFromWebsite on pilot...');
-      const userDataResult = await pilotConnection.remoteHandle().call('getUserDataFromWebsite');
-      log('✅ getUserDataFromWebsite result: %O', userDataResult);
-      if (!userDataResult?.sourceAccountIdentifier) {
-        throw new Error('getUserDataFromWebsite did not return any sourceAccountIdentifier. Cannot continue the execution.');
+      for (const step of steps) {
+        const stepResult = { step, startedAt: Date.now() };
+        this.stepResults.push(stepResult);
+        const traceGroup = this.traceRecorder?.group(step);
+        this.emit('step:start', { step, startedAt: stepResult.startedAt });
+        try {
+          stepResult.result = await this.runStep(step, { flags: flagsWithValues });
+        } catch (error) {
+          stepResult.error = error;
+          throw error;
+        } finally {
+          stepResult.duration = Date.now() - stepResult.startedAt;
+          this.traceRecorder?.groupEnd(traceGroup);
+          this.emit('step:end', stepResult);
+        }
       }
-      this.pilotService.setUserData({ sourceAccountIdentifier: userDataResult.sourceAccountIdentifier });
-      log(`🧩 PilotService userData set: ${this.pilotService.getUserData()?.sourceAccountIdentifier}`);
-      log('🔐 Calling fetch on pilot...');
-      await pilotConnection.remoteHandle().call('fetch', { flags: flagsWithValues });
-      log('✅  fetch completed successfully!');
+      await this.saveJobResult(null);
     } catch (error) {
       log('❌ Error during start: %O', error);
+      runError = error;
+      await this.saveJobResult(error);
+      await this.captureFailureSnapshots();
       throw error;
+    } finally {
+      // Connectors must unblock worker interactions on every code path, including errors
+      if (this.pilotService?.isWorkerInteractionBlocked()) {
+        log('⚠️ Worker interactions are still blocked at the end of the execution, the connector did not call unblockWorkerInteractions');
+      }
+      await this.writeRunReport(steps, runError);
+    }
+  }
+
+  /**
+   * Give the next execution its own runs/ directory, once the current one was used by a run or a failed reload
+   * @private
+   */
+  startNewRun() {
+    if (!this.isRunDirUsed) {
+      return;
+    }
+    this.startTime = Date.now();
+    this.runReport?.reset(this.startTime);
+    this.runReportPaths = null;
+    this.isRunDirUsed = false;
+  }
+
+  /**
+   * Save screenshot, HTML, URL and console tail of both pages in runs/, before the pages are closed
+   * @private
+   */
+  async captureFailureSnapshots() {
+    if (!this.snapshots) {
+      return;
+    }
+    const runDir = this.getRunDir();
+    log('📸 Saving page snapshots in %s', runDir);
+
+    const snapshots = [];
+    // Pages do not exist yet when the browser could not be launched
+    for (const cliskPage of [this.pilotPage, this.workerPage].filter(Boolean)) {
+      try {
+        snapshots.push(await cliskPage.captureSnapshot(runDir));
+      } catch (err) {
+        log('⚠️ Could not save %s snapshot: %O', cliskPage.pageName, err);
+      }
+    }
+    this.runReport?.addSnapshots(snapshots);
+    log('📸 Page snapshots saved in %s', runDir);
+  }
+
+  /**
+   * Write the JSON and HTML reports of the execution in runs/
+   * @param {Array<string>} steps - Lifecycle steps of the scenario
+   * @param {Error|null} error - Error which stopped the execution, if any
+   * @private
+   */
+  async writeRunReport(steps, error) {
+    if (!this.runReport) {
+      return;
+    }
+    try {
+      const report = this.runReport.build({ konnector: this.pilotService?.konnector, scenario: steps, steps: this.stepResults, error });
+      this.runReportPaths = await writeRunReport(report, this.getRunDir());
+      log('📊 Run report: %s', this.runReportPaths.htmlPath);
+    } catch (err) {
+      log('⚠️ Could not write run report: %O', err);
+    }
+  }
+
+  /**
+   * Call one lifecycle method on the pilot
+   * @param {string} step - Lifecycle method name
+   * @param {Object} options
+   * @param {Object} options.flags - cozy-flags values given to fetch
+   * @returns {Promise<any>} Result of the lifecycle method
+   */
+  async runStep(step, { flags = {} } = {}) {
+    const pilotConnection = this.pilotPage.getConnection();
+    if (!pilotConnection) {
+      throw new Error('Pilot connection not available');
+    }
+
+    const { account, trigger, job } = this.launcherContext;
+
+    log(`🔐 Calling ${step} on pilot...`);
+    let result;
+    switch (step) {
+      case 'ensureAuthenticated':
+        result = await pilotConnection.remoteHandle().call('ensureAuthenticated', { account });
+        break;
+      case 'ensureNotAuthenticated':
+        result = await pilotConnection.remoteHandle().call('ensureNotAuthenticated');
+        break;
+      case 'getUserDataFromWebsite': {
+        result = await pilotConnection.remoteHandle().call('getUserDataFromWebsite');
+        log('✅ getUserDataFromWebsite result: %O', result);
+        if (!result?.sourceAccountIdentifier) {
+          throw new Error('getUserDataFromWebsite did not return any sourceAccountIdentifier. Cannot continue the execution.');
+        }
+        this.pilotService.setUserData({ sourceAccountIdentifier: result.sourceAccountIdentifier });
+        log(`🧩 PilotService userData set: ${this.pilotService.getUserData()?.sourceAccountIdentifier}`);
+        break;
+      }
+      case 'fetch':
+        result = await pilotConnection.remoteHandle().call('fetch', { account, trigger, job, flags });
+        break;
+      default:
+        throw new Error(`Unknown lifecycle step: ${step}`);
+    }
+    log(`✅ ${step} completed successfully!`);
+    return result;
+  }
+
+  /**
+   * Call a method exposed by the pilot, outside of the lifecycle
+   * @param {string} method - Method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} method result
+   */
+  async callPilot(method, ...args) {
+    const pilotConnection = this.getPilotConnection();
+    if (!pilotConnection) {
+      throw new Error('Pilot connection not available');
+    }
+    return pilotConnection.remoteHandle().call(method, ...args);
+  }
+
+  /**
+   * Call a method exposed by the worker, outside of the lifecycle
+   * Goes through runInWorker, so the call waits for worker reconnections and is retried after URL changes
+   * @param {string} method - Method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} method result
+   */
+  async callWorker(method, ...args) {
+    if (!this.pilotPage) {
+      throw new Error('Worker connection not available');
+    }
+    return this.pilotPage.getLocalMethods().runInWorker(method, ...args);
+  }
+
+  /**
+   * Persist the job result in the trigger state used by the next executions
+   * @param {Error|null} error - Error which stopped the execution, if any
+   * @private
+   */
+  async saveJobResult(error) {
+    if (!this.launcherContext) {
+      return;
+    }
+    try {
+      await saveJobResult(this.launcherContext, error, this.launcherContextDir);
+    } catch (err) {
+      log('⚠️ Could not save job result: %O', err);
     }
   }
 
@@ -228,6 +635,37 @@ class PlaywrightLauncher {
     log('🛑 Stopping PlaywrightLauncher...');
 
     try {
+      if (this.replayConnection) {
+        const remainingCalls = this.replayConnection.getRemainingCalls().filter(method => method !== 'setContentScriptType');
+        if (remainingCalls.length > 0) {
+          log('⚠️ %d recorded worker calls were not replayed: %s', remainingCalls.length, remainingCalls.join(', '));
+        }
+        this.replayConnection = null;
+      }
+
+      if (this.recorder) {
+        this.recorder.close();
+        this.recorder = null;
+      }
+
+      // The trace must be saved before the context is closed
+      if (this.traceRecorder) {
+        try {
+          const tracePath = await this.traceRecorder.stop(this.tracePath || path.join(this.getRunDir(), 'trace.zip'));
+          if (tracePath) {
+            log('🎞️ Playwright trace saved, open it with: npx playwright show-trace %s', tracePath);
+          }
+        } catch (error) {
+          log('⚠️ Could not save Playwright trace: %O', error);
+        }
+        this.traceRecorder = null;
+      }
+
+      if (this.controlServer) {
+        await this.controlServer.stop();
+        this.controlServer = null;
+      }
+
       // Clean up services first
       if (this.workerService) {
         this.workerService.cleanup();
@@ -303,6 +741,34 @@ class PlaywrightLauncher {
   getDestinationFolder() {
     return this.destinationFolder;
   }
+
+  getLauncherContext() {
+    return this.launcherContext;
+  }
+
+  /**
+   * Get the lifecycle steps run by the last start() call
+   * @returns {Array<{ step: string, startedAt: number, duration: number, result?: any, error?: Error }>}
+   */
+  getStepResults() {
+    return this.stepResults;
+  }
+
+  /**
+   * Directory of the execution in runs/, shared by the run report and the failure snapshots
+   * @returns {string}
+   */
+  getRunDir() {
+    return getRunDir(this.pilotService?.konnector?.slug, this.startTime);
+  }
+
+  /**
+   * Get the paths of the run report written by the last start() call, or by a failed init()
+   * @returns {{ dir: string, jsonPath: string, htmlPath: string }|null}
+   */
+  getRunReportPaths() {
+    return this.runReportPaths;
+  }
 }
 
 async function loadScopesFromManifestStrict({ connectorPath, __dirname, log }) {
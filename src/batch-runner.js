@@ -0,0 +1,178 @@
+/**
+ * Batch Runner Module
+ * Runs many connectors one after the other or in parallel, and summarizes the results as a table or as JUnit XML
+ */
+
+import fs from 'fs';
+import path from 'path';
+import debug from 'debug';
+import { runConnector } from './run-connector.js';
+import { getConnectorDir } from './connector-loader.js';
+import { OfflineClient, OFFLINE_STACK_DIR } from './offline-client.js';
+import { LAUNCHER_CONTEXT_DIR } from './launcher-context.js';
+
+const log = debug('clisk:batch');
+
+// Connector paths are relative to the runner root, like in connector-loader.js
+const ROOT_DIR = getConnectorDir('.');
+
+/**
+ * Find the connector directories matching paths or glob patterns, relative to the runner root
+ * Patterns support * and ? in each path segment, like examples/*-konnector
+ * @param {Array<string>} patterns - Connector directories or glob patterns
+ * @returns {Array<string>} connector paths containing a manifest.konnector, in the order of the patterns
+ */
+export function expandConnectorPaths(patterns) {
+  const connectorPaths = [];
+  for (const pattern of patterns) {
+    const matches = expandPattern(pattern.split(/[\\/]+/).filter(segment => segment && segment !== '.'));
+    const connectors = matches.filter(connectorPath => fs.existsSync(path.join(getConnectorDir(connectorPath), 'manifest.konnector')));
+    if (connectors.length === 0) {
+      throw new Error(`No connector found for ${pattern}: a connector directory must contain a manifest.konnector file`);
+    }
+    connectorPaths.push(...connectors.sort());
+  }
+  return [...new Set(connectorPaths)];
+}
+
+function expandPattern(segments, base = '') {
+  if (segments.length === 0) {
+    return [base];
+  }
+  const [segment, ...rest] = segments;
+  if (!/[*?]/.test(segment)) {
+    return expandPattern(rest, base ? `${base}/${segment}` : segment);
+  }
+
+  const regexp = new RegExp(
+    `^${segment
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.')}$`
+  );
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(ROOT_DIR, base), { withFileTypes: true });
+  } catch (error) {
+    log('⚠️ Cannot read %s: %s', base, error.message);
+  }
+  return entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && regexp.test(entry.name)).flatMap(entry => expandPattern(rest, base ? `${base}/${entry.name}` : entry.name));
+}
+
+/**
+ * Run connectors with runConnector, at most `parallel` at the same time, each one in its own browser
+ * In offline mode, each connector has its own offline stack and launcher context in batch/ subdirectories,
+ * as many connectors share the same slug
+ * @param {Array<string>} connectorPaths - Connector paths relative to the runner root
+ * @param {Object} options
+ * @param {number} options.parallel - Number of connectors running at the same time (default: 1)
+ * @param {boolean} options.offline - Save documents in an offline stack per connector
+ * @param {Function} options.onResult - Called with each result as soon as its connector is finished
+ * @param {Object} options.runOptions - Other runConnector options (scenario, timeout, browser, targetedInstance...)
+ * @returns {Promise<Array<Object>>} runConnector results with connectorPath, in the order of connectorPaths
+ */
+export async function runBatch(connectorPaths, { parallel = 1, offline = false, onResult = () => {}, ...runOptions } = {}) {
+  const results = new Array(connectorPaths.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < connectorPaths.length) {
+      const index = nextIndex++;
+      const connectorPath = connectorPaths[index];
+      log('🚀 [%d/%d] Running %s', index + 1, connectorPaths.length, connectorPath);
+
+      const batchDirName = connectorPath.replace(/[\\/]+/g, '_');
+      const options = { ...runOptions, connectorPath, launcherContextDir: path.join(LAUNCHER_CONTEXT_DIR, 'batch', batchDirName) };
+      if (offline) {
+        options.client = new OfflineClient({ dir: path.join(OFFLINE_STACK_DIR, 'batch', batchDirName), appMetadata: { slug: readSlug(connectorPath) } });
+      }
+      results[index] = { connectorPath, ...(await runConnector(options)) };
+      onResult(results[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(parallel, connectorPaths.length)) }, runNext));
+  return results;
+}
+
+function readSlug(connectorPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(getConnectorDir(connectorPath), 'manifest.konnector'), 'utf-8')).slug;
+  } catch (error) {
+    // runConnector reports the unreadable manifest
+    return undefined;
+  }
+}
+
+/**
+ * Format the results of a batch as a text table
+ * @param {Array<Object>} results - Results of runBatch
+ * @returns {string} summary
+ */
+export function formatBatchSummary(results) {
+  const rows = results.map(result => [result.connectorPath, result.success ? 'PASS' : 'FAIL', formatDuration(result.timings.total), result.error ? result.error.message.split('\n')[0] : '']);
+  const header = ['Connector', 'Result', 'Duration', 'Error'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row =>
+    row
+      .map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column])))
+      .join('  ')
+      .trimEnd();
+
+  const failed = results.filter(result => !result.success).length;
+  const total = results.reduce((sum, result) => sum + (result.timings.total || 0), 0);
+  return [
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow),
+    '',
+    `${results.length - failed} passed, ${failed} failed, ${results.length} connectors (${formatDuration(total)} of runs)`
+  ].join('\n');
+}
+
+function formatDuration(duration) {
+  return duration === null || duration === undefined ? '-' : `${(duration / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Format the results of a batch as JUnit XML, one test case per connector
+ * @param {Array<Object>} results - Results of runBatch
+ * @param {Object} options
+ * @param {string} options.name - Test suite name
+ * @param {Date} options.timestamp - Start of the batch
+ * @returns {string} XML document
+ */
+export function toJUnitXml(results, { name = 'cliskDevRunner', timestamp = new Date() } = {}) {
+  const failures = results.filter(result => !result.success).length;
+  const time = results.reduce((sum, result) => sum + (result.timings.total || 0), 0) / 1000;
+
+  const testCases = results.map(result => {
+    const attributes = `classname="${escapeXml(result.connector?.slug || 'connector')}" name="${escapeXml(result.connectorPath)}" time="${(result.timings.total || 0) / 1000}"`;
+    const steps = result.steps.map(step => `${step.step}: ${step.error ? `failed (${step.error.message})` : 'ok'} in ${step.duration ?? '-'}ms`).join('\n');
+    const systemOut = steps ? `\n      <system-out>${escapeXml(steps)}</system-out>` : '';
+    if (result.success) {
+      return `    <testcase ${attributes}>${systemOut ? `${systemOut}\n    ` : ''}</testcase>`;
+    }
+    const details = result.errors.map(error => `[${error.source}] ${error.name ? `${error.name}: ` : ''}${error.message}`).join('\n');
+    return `    <testcase ${attributes}>
+      <failure message="${escapeXml(result.error?.message || 'Connector run failed')}" type="${escapeXml(result.error?.name || 'Error')}">${escapeXml(details)}</failure>${systemOut}
+    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" time="${time}">
+  <testsuite name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" errors="0" skipped="0" time="${time}" timestamp="${timestamp.toISOString()}">
+${testCases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
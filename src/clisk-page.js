@@ -6,6 +6,21 @@
 import { ParentHandshake } from 'post-me';
 import debug from 'debug';
 import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { ConnectionState } from './connection-state.js';
+import { findJsonAlterations } from './json-fidelity.js';
+
+// Number of console messages kept for failure snapshots
+const CONSOLE_TAIL_SIZE = 200;
+
+// Events emitted for the page messages sent by cozy-clisk sendPageMessage, which are not post-me messages
+// NEW_WORKER_INITIALIZING is sent by the ContentScript constructor, load and DOMContentLoaded by the connector window listeners
+export const PAGE_MESSAGE_EVENTS = {
+  load: 'page:load',
+  DOMContentLoaded: 'page:domcontentloaded',
+  NEW_WORKER_INITIALIZING: 'worker:initializing'
+};
 
 /**
  * CliskPage class - manages a single page with isolated communication and logging
@@ -17,6 +32,8 @@ export class CliskPage extends EventEmitter {
    * @param {Object} context - Browser context from Playwright
    * @param {string} pageName - Unique name for this page (used for debug namespaces)
    * @param {Object} options - Configuration options
+   * @param {boolean} options.strictJson - JSON round trip every post-me message, like the React Native message channel,
+   * and report the values which are altered or lost
    */
   constructor(context, pageName, options = {}) {
     super(); // Call EventEmitter constructor
@@ -51,12 +68,32 @@ export class CliskPage extends EventEmitter {
     this.navigationStartTime = null;
     this.handshakeStartTime = null;
 
+    // Time at which the connector of the current document signaled it is ready, null until then
+    this.connectorReadyAt = null;
+
+    // Navigation and connection state machine: idle → navigating → injecting → handshaking → connected
+    this.connectionState = new ConnectionState();
+    this.connectionState.on('change', change => {
+      this.log('🔀 [%s] %s → %s (%dms)', this.pageName, change.from, change.to, change.duration);
+      this.emit('connection:state', { pageName: this.pageName, ...change });
+    });
+
     // Connector state for potential reconnection
     this.connectorPath = null;
     this.loaderFunction = null;
+    this.injection = 'script-tag';
 
     // Additional local methods (can be extended by services)
     this.additionalLocalMethods = {};
+
+    // Overlays displayed on top of the page content, kept across navigations
+    this.overlays = new Map();
+
+    // Last console messages and page errors, saved in failure snapshots
+    this.consoleTail = [];
+
+    // Method names of the post-me calls waiting for their response, to name them in strict JSON reports
+    this.pendingCallMethods = { sent: new Map(), received: new Map() };
   }
 
   /**
@@ -71,6 +108,12 @@ export class CliskPage extends EventEmitter {
     // Setup console logging for this page
     this.setupConsoleLogging();
 
+    // Render overlays again after each navigation
+    this.setupOverlayPersistence();
+
+    // Follow the documents loaded in the main frame
+    this.setupNavigationTracking();
+
     // Setup post-me communication bridge BEFORE any navigation
     await this.setupPostMeCommunication();
 
@@ -96,11 +139,9 @@ export class CliskPage extends EventEmitter {
 
     try {
       this.log('🌐 Navigating to: %s', url);
+      // Resolves on the load event of the new document
       await this.page.goto(url);
 
-      // Wait a bit for the page to be ready and scripts to execute
-      await this.page.waitForTimeout(500);
-
       this.log('✅ Navigation completed to: %s', url);
     } catch (error) {
       this.log('❌ Navigation failed to: %s - %O', url, error);
@@ -117,8 +158,10 @@ export class CliskPage extends EventEmitter {
    * Load and inject connector code
    * @param {string} connectorPath - Path to the connector directory
    * @param {Function} loaderFunction - Function to load the connector
+   * @param {Object} options
+   * @param {string} options.injection - script-tag, or init-script to run the connector at document start on every navigation
    */
-  async loadConnector(connectorPath, loaderFunction) {
+  async loadConnector(connectorPath, loaderFunction, { injection = 'script-tag' } = {}) {
     if (!this.isInitialized) {
       throw new Error('Page must be initialized before loading connector');
     }
@@ -128,8 +171,10 @@ export class CliskPage extends EventEmitter {
     // Store connector details for potential reconnection
     this.connectorPath = connectorPath;
     this.loaderFunction = loaderFunction;
+    this.injection = injection;
 
-    const manifest = await loaderFunction(this.page, connectorPath);
+    this.connectionState.transition('injecting', { url: this.page.url() });
+    const manifest = await loaderFunction(this.page, connectorPath, { injection });
     this.log('📋 Loaded: %s v%s', manifest.name, manifest.version);
 
     return manifest;
@@ -137,6 +182,8 @@ export class CliskPage extends EventEmitter {
 
   /**
    * Initiate post-me handshake
+   * The handshake starts as soon as the connector signals it is ready with NEW_WORKER_INITIALIZING,
+   * or after waitTime for connectors which do not send this message
    * @param {Object} options - Handshake options
    * @param {string} contentScriptType - Content script type (pilot or worker), optional
    */
@@ -150,6 +197,7 @@ export class CliskPage extends EventEmitter {
     // Set handshake state
     this.isHandshakeInProgress = true;
     this.handshakeStartTime = Date.now();
+    const handshakeVersion = this.connectionState.transition('handshaking', { url: this.page.url() });
 
     this.commLog('🤝 Initiating post-me handshake...');
 
@@ -169,7 +217,12 @@ export class CliskPage extends EventEmitter {
       }
 
       try {
-        await this.page.waitForTimeout(waitTime);
+        const signaled = await this.waitForConnectorReady(waitTime);
+        if (signaled) {
+          this.commLog('⚡ [%s] Connector ready after %dms', this.pageName, Date.now() - this.handshakeStartTime);
+        } else {
+          this.commLog('⏰ [%s] No readiness signal from the connector after %dms, starting handshake anyway', this.pageName, waitTime);
+        }
       } catch (error) {
         if (error.message.includes('Target page, context or browser has been closed')) {
           throw new Error('Page was closed during handshake initialization');
@@ -183,6 +236,10 @@ export class CliskPage extends EventEmitter {
       this.connection = await ParentHandshake(messenger, localMethods, maxAttempts, attemptInterval);
 
       this.commLog('✅ Post-me handshake successful!');
+      // A navigation during the handshake already moved the page to a new document
+      if (this.connectionState.version === handshakeVersion) {
+        this.connectionState.transition('connected', { url: this.page.url() });
+      }
 
       // Set content script type if provided
       if (contentScriptType) {
@@ -215,6 +272,9 @@ export class CliskPage extends EventEmitter {
       if (!isPageClosedError) {
         console.error(`❌ [${this.pageName}] Post-me handshake failed:`, error);
       }
+      if (this.connectionState.version === handshakeVersion) {
+        this.connectionState.transition('idle', { error });
+      }
       throw error;
     } finally {
       // Reset handshake state
@@ -223,6 +283,140 @@ export class CliskPage extends EventEmitter {
     }
   }
 
+  /**
+   * Wait until the connector of the current document signals it is ready
+   * @param {number} timeout - Delay after which the connector is considered ready anyway
+   * @returns {Promise<boolean>} true if the connector sent its readiness signal, false on timeout
+   */
+  async waitForConnectorReady(timeout) {
+    if (this.connectorReadyAt) {
+      return true;
+    }
+
+    let onReady;
+    const ready = new Promise(resolve => {
+      onReady = () => resolve(true);
+      this.once('worker:initializing', onReady);
+    });
+    try {
+      return await Promise.race([ready, this.page.waitForTimeout(timeout).then(() => false)]);
+    } finally {
+      this.off('worker:initializing', onReady);
+    }
+  }
+
+  /**
+   * Use a connection which was not created by a handshake, like a ReplayConnection answering with recorded responses
+   * @param {Object} connection - Object with the same shape as a post-me Connection
+   */
+  attachConnection(connection) {
+    this.connection = connection;
+    this.commLog('🔌 [%s] Connection attached without handshake', this.pageName);
+    this.connectionState.transition('connected', { url: this.page ? this.page.url() : null });
+
+    this.emit('connection:success', {
+      pageName: this.pageName,
+      connection: this.connection,
+      url: this.page ? this.page.url() : null,
+      timestamp: Date.now(),
+      duration: 0
+    });
+
+    return this.connection;
+  }
+
+  /**
+   * Show an overlay on top of the page content. The overlay is rendered again after each navigation
+   * until hideOverlay is called
+   * @param {string} id - Overlay identifier, showing the same id again updates the overlay
+   * @param {Object} options - Overlay options
+   * @param {string} options.text - Text displayed in the middle of the overlay
+   * @param {string} options.background - CSS background of the overlay
+   * @param {boolean} options.blocking - Whether the overlay catches pointer events
+   * @param {boolean} options.spinner - Whether to display a spinner above the text
+   */
+  async showOverlay(id, { text = '', background = 'rgba(0, 0, 0, 0.5)', blocking = true, spinner = false } = {}) {
+    this.overlays.set(id, { text, background, blocking, spinner });
+    this.log('🪟 Showing overlay: %s', id);
+    await this.applyOverlays();
+  }
+
+  /**
+   * Remove an overlay shown with showOverlay
+   * @param {string} id - Overlay identifier
+   */
+  async hideOverlay(id) {
+    if (!this.overlays.delete(id)) {
+      return;
+    }
+    this.log('🪟 Hiding overlay: %s', id);
+    await this.applyOverlays();
+  }
+
+  /**
+   * Check if an overlay is currently shown
+   * @param {string} id - Overlay identifier
+   */
+  hasOverlay(id) {
+    return this.overlays.has(id);
+  }
+
+  /**
+   * Get the last console messages and page errors
+   * @returns {Array<{ type: string, text: string, url: string, timestamp: string }>}
+   */
+  getConsoleTail() {
+    return [...this.consoleTail];
+  }
+
+  /**
+   * Save the current state of the page to diagnose a failure: screenshot, full HTML, URL and console tail
+   * Each part is saved independently, a page in the middle of a navigation still gives what it can
+   * @param {string} dir - Directory where <pageName>.png, <pageName>.html and <pageName>.json are written
+   * @returns {Promise<Object>} snapshot description, with the written file names and the errors
+   */
+  async captureSnapshot(dir) {
+    await fs.mkdir(dir, { recursive: true });
+    const snapshot = { page: this.pageName, url: null, title: null, timestamp: new Date().toISOString(), files: {}, errors: [] };
+    const isOpen = this.page && !this.page.isClosed();
+
+    if (isOpen) {
+      snapshot.url = this.page.url();
+
+      try {
+        snapshot.title = await this.page.title();
+      } catch (error) {
+        snapshot.errors.push(`title: ${error.message}`);
+      }
+
+      try {
+        const screenshotFile = `${this.pageName}.png`;
+        // Overlays are hidden so that the screenshot shows the website as the connector sees it
+        await this.page.screenshot({ path: path.join(dir, screenshotFile), fullPage: true, timeout: 5000, style: '[data-clisk-overlay] { display: none !important; }' });
+        snapshot.files.screenshot = screenshotFile;
+      } catch (error) {
+        snapshot.errors.push(`screenshot: ${error.message}`);
+      }
+
+      try {
+        const htmlFile = `${this.pageName}.html`;
+        await fs.writeFile(path.join(dir, htmlFile), await this.page.content());
+        snapshot.files.html = htmlFile;
+      } catch (error) {
+        snapshot.errors.push(`html: ${error.message}`);
+      }
+    } else {
+      snapshot.errors.push('Page is closed');
+    }
+
+    const jsonFile = `${this.pageName}.json`;
+    await fs.writeFile(path.join(dir, jsonFile), JSON.stringify({ ...snapshot, consoleTail: this.consoleTail }, null, 2));
+    snapshot.files.json = jsonFile;
+
+    this.log('📸 Snapshot of %s saved in %s', this.pageName, dir);
+    return snapshot;
+  }
+
   /**
    * Get the page instance
    */
@@ -237,6 +431,19 @@ export class CliskPage extends EventEmitter {
     return this.connection;
   }
 
+  /**
+   * Replace the page by a new one in the same browser context, keeping cookies, overlays and local methods
+   * Used to get rid of init scripts, which cannot be removed from a Playwright page
+   */
+  async renewPage() {
+    this.log('🔄 Renewing page: %s', this.pageName);
+    const overlays = new Map(this.overlays);
+    await this.close();
+    await this.init();
+    // Rendered again by the next navigation
+    this.overlays = overlays;
+  }
+
   /**
    * Close the page and cleanup
    */
@@ -266,9 +473,11 @@ export class CliskPage extends EventEmitter {
       this.log('⚠️ Error during close: %O', error);
     }
 
-    // Cleanup message handler and state
+    // Cleanup message handler and state, functions must be exposed again on the next page
     this.messageHandler = null;
+    this.functionsExposed = false;
     this.isInitialized = false;
+    this.overlays.clear();
 
     // Reset all state tracking flags
     this.isNavigationInProgress = false;
@@ -277,6 +486,12 @@ export class CliskPage extends EventEmitter {
     this.currentNavigationUrl = null;
     this.navigationStartTime = null;
     this.handshakeStartTime = null;
+    this.connectorReadyAt = null;
+    this.pendingCallMethods.sent.clear();
+    this.pendingCallMethods.received.clear();
+    if (!this.connectionState.is('idle')) {
+      this.connectionState.transition('idle', { url: null });
+    }
 
     this.log('✅ Page closed: %s', this.pageName);
   }
@@ -290,9 +505,70 @@ export class CliskPage extends EventEmitter {
       const type = msg.type();
       const text = msg.text();
       this.pageLog(`[${type}] ${text}`);
+      this.addToConsoleTail(type, text);
+    });
+
+    this.page.on('pageerror', error => {
+      this.pageLog(`[pageerror] ${error.message}`);
+      this.addToConsoleTail('pageerror', error.stack || error.message);
     });
   }
 
+  /**
+   * Keep the last console messages of the page
+   * @private
+   */
+  addToConsoleTail(type, text) {
+    this.consoleTail.push({ type, text, url: this.page && !this.page.isClosed() ? this.page.url() : null, timestamp: new Date().toISOString() });
+    if (this.consoleTail.length > CONSOLE_TAIL_SIZE) {
+      this.consoleTail.shift();
+    }
+  }
+
+  /**
+   * Render overlays again each time a new document is loaded
+   * @private
+   */
+  setupOverlayPersistence() {
+    this.page.on('domcontentloaded', () => {
+      if (this.overlays.size > 0) {
+        this.applyOverlays();
+      }
+    });
+  }
+
+  /**
+   * Each time the main frame navigates to a new document, forget the connector readiness
+   * and move to the navigating state
+   * @private
+   */
+  setupNavigationTracking() {
+    this.page.on('framenavigated', frame => {
+      if (frame === this.page.mainFrame()) {
+        this.connectorReadyAt = null;
+        this.connectionState.transition('navigating', { url: frame.url() });
+      }
+    });
+  }
+
+  /**
+   * Synchronize overlays rendered in the page with the current overlays
+   * @private
+   */
+  async applyOverlays() {
+    if (!this.page || this.page.isClosed()) {
+      return;
+    }
+
+    const overlays = Array.from(this.overlays, ([id, options]) => ({ id, ...options }));
+    try {
+      await this.page.evaluate(renderOverlays, overlays);
+    } catch (error) {
+      // The page may be navigating, overlays will be rendered again on domcontentloaded
+      this.log('⚠️ Could not render overlays: %s', error.message);
+    }
+  }
+
   /**
    * Setup post-me communication bridge for this page
    * @param {boolean} exposeFunction - Whether to expose functions (default: true)
@@ -304,8 +580,13 @@ export class CliskPage extends EventEmitter {
     // Only expose functions if requested and not already exposed
     if (exposeFunctions && !this.functionsExposed) {
       // Expose functions directly on this page
-      await this.page.exposeFunction('sendToPlaywright', data => {
-        if (this.messageHandler) {
+      // In strict JSON mode, the page gives the alterations of messages which were not JSON strings,
+      // and only the message metadata when it cannot be serialized
+      await this.page.exposeFunction('sendToPlaywright', (data, alterations = [], meta = data) => {
+        if (this.options.strictJson) {
+          this.reportJsonAlterations('received', this.resolvePostMeMethod('received', meta), alterations);
+        }
+        if (data && this.messageHandler) {
           this.messageHandler(data);
         }
       });
@@ -318,6 +599,8 @@ export class CliskPage extends EventEmitter {
         }
       });
 
+      await this.page.exposeFunction('sendPageMessageToLauncher', (message, timestamp) => this.handlePageMessage(message, timestamp));
+
       this.functionsExposed = true;
       this.commLog('🔧 Functions exposed for %s', this.pageName);
     } else if (exposeFunctions) {
@@ -337,6 +620,31 @@ export class CliskPage extends EventEmitter {
    * @private
    */
   async injectPageScript() {
+    const strictJsonScript = this.options.strictJson
+      ? `
+      // Strict JSON mode: ContentScriptMessenger stringifies post-me messages before giving them to postMessage,
+      // so they are checked by JSON.stringify while their values are still intact. Set up once per document
+      if (!window.__cliskStrictJson) {
+        const strictJson = { stringify: JSON.stringify, findJsonAlterations: ${findJsonAlterations}, lastPostMeJson: null };
+        window.__cliskStrictJson = strictJson;
+        JSON.stringify = function(value, ...rest) {
+          if (!value || typeof value !== 'object' || value.type !== '@post-me') {
+            return strictJson.stringify.call(this, value, ...rest);
+          }
+          const alterations = strictJson.findJsonAlterations(value);
+          if (alterations.some(alteration => alteration.fatal) && window.sendToPlaywright) {
+            const { args, result, error, payload, ...meta } = value;
+            window.sendToPlaywright(null, alterations, meta);
+          }
+          // Throws on fatal alterations, like on the phone
+          const json = strictJson.stringify.call(this, value, ...rest);
+          strictJson.lastPostMeJson = { json, alterations };
+          return json;
+        };
+      }
+      `
+      : '';
+
     // Inject page-specific initialization script
     const initScript = `
       // Create page-specific logger
@@ -355,9 +663,32 @@ export class CliskPage extends EventEmitter {
 
       // Create ReactNativeWebView object if it doesn't exist
       window.ReactNativeWebView = window.ReactNativeWebView || {};
-
+${strictJsonScript}
       // Setup postMessage function that bridges to the host
       window.ReactNativeWebView.postMessage = function(message) {
+        ${
+          this.options.strictJson
+            ? `// Strict JSON mode: messages given as objects get the JSON round trip of the React Native message channel
+        const strictJson = window.__cliskStrictJson;
+        let alterations = [];
+        if (message && typeof message === 'object') {
+          alterations = strictJson.findJsonAlterations(message);
+          if (alterations.some(alteration => alteration.fatal)) {
+            if (message.type === '@post-me' && window.sendToPlaywright) {
+              const { args, result, error, payload, ...meta } = message;
+              window.sendToPlaywright(null, alterations, meta);
+            }
+            return;
+          }
+          message = strictJson.stringify(message);
+        } else if (strictJson.lastPostMeJson && strictJson.lastPostMeJson.json === message) {
+          // Message stringified by the connector, already checked by JSON.stringify
+          alterations = strictJson.lastPostMeJson.alterations;
+        }
+        strictJson.lastPostMeJson = null;`
+            : 'const alterations = [];'
+        }
+
         // Parse message if it's a string
         let parsedMessage;
         try {
@@ -370,12 +701,15 @@ export class CliskPage extends EventEmitter {
         // Forward post-me messages to Playwright
         if (parsedMessage.type === '@post-me') {
           if (window.sendToPlaywright) {
-            window.sendToPlaywright(parsedMessage);
+            window.sendToPlaywright(parsedMessage, alterations);
           } else {
             pageLogger.error('❌ [${this.pageName}] sendToPlaywright function not found!');
           }
+        } else if (${JSON.stringify(Object.keys(PAGE_MESSAGE_EVENTS))}.includes(parsedMessage.message) && window.sendPageMessageToLauncher) {
+          // Page lifecycle messages are for the launcher, like in the React Native webview
+          window.sendPageMessageToLauncher(parsedMessage.message, Date.now());
         } else {
-          // Dispatch as window message for non-post-me messages
+          // Dispatch as window message for other non-post-me messages
           window.postMessage(parsedMessage, '*');
         }
       };
@@ -387,6 +721,28 @@ export class CliskPage extends EventEmitter {
     this.commLog('🔧 Setup script injected for %s', this.pageName);
   }
 
+  /**
+   * Emit the event of a page message sent by the connector with sendPageMessage
+   * @param {string} message - load, DOMContentLoaded or NEW_WORKER_INITIALIZING
+   * @param {number} timestamp - Time at which the page sent the message
+   * @private
+   */
+  handlePageMessage(message, timestamp) {
+    const eventName = PAGE_MESSAGE_EVENTS[message];
+    if (!eventName) {
+      return;
+    }
+
+    if (eventName === 'worker:initializing') {
+      // The connector is ready for the handshake
+      this.connectorReadyAt = timestamp;
+    }
+
+    const url = this.page && !this.page.isClosed() ? this.page.url() : null;
+    this.commLog('📣 [%s] %s: %s', this.pageName, eventName, url);
+    this.emit(eventName, { pageName: this.pageName, url, message, timestamp });
+  }
+
   /**
    * Create a messenger for this page
    * @private
@@ -394,7 +750,14 @@ export class CliskPage extends EventEmitter {
   createMessenger() {
     return {
       postMessage: async (message, transfer) => {
+        if (this.options.strictJson) {
+          message = this.toJsonMessage(message);
+          if (!message) {
+            return;
+          }
+        }
         this.postMeLog('➡️ [Launcher→%s] Sending: %O', this.pageName, message);
+        this.emit('post-me:message', { pageName: this.pageName, direction: 'sent', message, timestamp: Date.now() });
 
         try {
           await this.page.evaluate(msg => {
@@ -415,6 +778,7 @@ export class CliskPage extends EventEmitter {
         // Store the listener for this page instance
         this.messageHandler = data => {
           this.postMeLog('📨 [%s→Launcher] Received: %O', this.pageName, data);
+          this.emit('post-me:message', { pageName: this.pageName, direction: 'received', message: data, timestamp: Date.now() });
           listener({ data });
         };
 
@@ -427,6 +791,70 @@ export class CliskPage extends EventEmitter {
     };
   }
 
+  /**
+   * JSON round trip of a message sent to the page in strict JSON mode, like on the phone
+   * @param {Object} message - post-me message
+   * @returns {Object|null} message as received on the phone, null when it cannot be serialized at all
+   * @private
+   */
+  toJsonMessage(message) {
+    const method = this.resolvePostMeMethod('sent', message);
+    const alterations = findJsonAlterations(message);
+    this.reportJsonAlterations('sent', method, alterations);
+
+    const fatal = alterations.find(alteration => alteration.fatal);
+    if (!fatal) {
+      return JSON.parse(JSON.stringify(message));
+    }
+    if (message.action === 'response') {
+      // The call fails in the page instead of waiting forever for its response
+      const { result, error, ...response } = message;
+      return { ...response, error: { name: 'Error', message: `${method} cannot be sent as JSON, ${fatal.path}: ${fatal.problem}` } };
+    }
+    return null;
+  }
+
+  /**
+   * Name the method of a post-me message, responses are matched with their call
+   * @param {string} direction - sent to the page or received from the page
+   * @param {Object} message - post-me message, or its metadata
+   * @returns {string} like fillText, response of saveFiles or event workerEvent
+   * @private
+   */
+  resolvePostMeMethod(direction, message) {
+    const key = `${message?.sessionId}:${message?.requestId}`;
+    switch (message?.action) {
+      case 'call':
+        this.pendingCallMethods[direction].set(key, message.methodName);
+        return message.methodName;
+      case 'response': {
+        const calls = this.pendingCallMethods[direction === 'sent' ? 'received' : 'sent'];
+        const method = calls.get(key);
+        calls.delete(key);
+        return method ? `response of ${method}` : 'response';
+      }
+      case 'emit':
+        return `event ${message.eventName}`;
+      default:
+        return message?.action || 'message';
+    }
+  }
+
+  /**
+   * Log the values of a post-me message which JSON would alter or lose, and emit json:alteration events
+   * @param {string} direction - sent to the page or received from the page
+   * @param {string} method - Method name given by resolvePostMeMethod
+   * @param {Array<Object>} alterations - findJsonAlterations result
+   * @private
+   */
+  reportJsonAlterations(direction, method, alterations) {
+    for (const { path, problem, fatal } of alterations) {
+      const description = `[${this.pageName}] ${method} ${direction === 'sent' ? 'sent to' : 'received from'} the page, ${path || 'payload'}: ${problem}`;
+      this.log('%s %s', fatal ? '❌' : '⚠️', description);
+      this.emit('json:alteration', { pageName: this.pageName, direction, method, path, problem, fatal, timestamp: Date.now() });
+    }
+  }
+
   /**
    * Add additional local methods that can be called by the connector
    * @param {Object} methods - Object containing method name-function pairs
@@ -453,3 +881,56 @@ export class CliskPage extends EventEmitter {
     return { ...baseMethods, ...this.additionalLocalMethods };
   }
 }
+
+/**
+ * Render overlays in the page, evaluated in the browser
+ * Overlays are attached to the document element to survive body replacements
+ * @param {Array<Object>} overlays - Overlays to display
+ */
+function renderOverlays(overlays) {
+  const root = document.documentElement;
+  if (!root) {
+    return;
+  }
+
+  const ids = overlays.map(overlay => overlay.id);
+  for (const element of root.querySelectorAll('[data-clisk-overlay]')) {
+    if (!ids.includes(element.dataset.cliskOverlay)) {
+      element.remove();
+    }
+  }
+
+  overlays.forEach((overlay, index) => {
+    let element = root.querySelector(`[data-clisk-overlay="${overlay.id}"]`);
+    if (!element) {
+      element = document.createElement('div');
+      element.dataset.cliskOverlay = overlay.id;
+      root.appendChild(element);
+    }
+    element.style.cssText = [
+      'position: fixed',
+      'inset: 0',
+      `z-index: ${2147483647 - overlays.length + index}`,
+      'display: flex',
+      'flex-direction: column',
+      'align-items: center',
+      'justify-content: center',
+      'gap: 16px',
+      'font: 16px sans-serif',
+      'color: #fff',
+      'text-align: center',
+      `background: ${overlay.background}`,
+      `pointer-events: ${overlay.blocking ? 'all' : 'none'}`
+    ].join(';');
+    element.innerHTML = '';
+    if (overlay.spinner) {
+      const spinner = document.createElement('div');
+      spinner.style.cssText = 'width: 40px; height: 40px; border: 4px solid rgba(255, 255, 255, 0.3); border-top-color: #fff; border-radius: 50%';
+      spinner.animate([{ transform: 'rotate(0deg)' }, { transform: 'rotate(360deg)' }], { duration: 1000, iterations: Infinity });
+      element.appendChild(spinner);
+    }
+    const text = document.createElement('div');
+    text.textContent = overlay.text;
+    element.appendChild(text);
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Connection State Module
+ * Navigation and connection state machine of a page, driven by Playwright navigation events and connector readiness
+ * Each state can be awaited, so that calls wait exactly until the connector of the page can answer
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * States of a page, in the order they are reached after a navigation
+ * - idle: no connector, before the first navigation, after a failure or once the page is closed
+ * - navigating: a new document is loading in the main frame
+ * - injecting: the connector code is injected in the document
+ * - handshaking: the post-me handshake with the connector is in progress
+ * - connected: the post-me connection can be used
+ */
+export const CONNECTION_STATES = ['idle', 'navigating', 'injecting', 'handshaking', 'connected'];
+
+/**
+ * ConnectionState class - current state of a page, emits change events
+ */
+export class ConnectionState extends EventEmitter {
+  constructor() {
+    super();
+
+    this.state = 'idle';
+    this.url = null;
+    this.error = null;
+    this.since = Date.now();
+    // Incremented on each transition, to know if a state was left and reached again
+    this.version = 0;
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - One of CONNECTION_STATES
+   * @param {Object} details
+   * @param {string} details.url - URL of the document, the previous one by default
+   * @param {Error} details.error - Why the page went back to idle
+   * @returns {number} version of the new state
+   */
+  transition(state, { url = this.url, error = null } = {}) {
+    if (!CONNECTION_STATES.includes(state)) {
+      throw new Error(`Unknown connection state: ${state}`);
+    }
+
+    const from = this.state;
+    const timestamp = Date.now();
+    const duration = timestamp - this.since;
+    this.state = state;
+    this.url = url;
+    this.error = error;
+    this.since = timestamp;
+    this.version++;
+
+    this.emit('change', { from, to: state, url, error, duration, timestamp });
+    return this.version;
+  }
+
+  /**
+   * Check the current state
+   * @param {string} state - One of CONNECTION_STATES
+   */
+  is(state) {
+    return this.state === state;
+  }
+
+  /**
+   * Wait until a state is reached, right away if it is the current one
+   * Fails right away if the page is idle because of an error, and as soon as it goes back to idle because of one
+   * @param {string} state - One of CONNECTION_STATES
+   * @param {Object} options
+   * @param {number} options.timeout - Maximum time to wait in ms, 0 to wait forever (default: 30000)
+   * @returns {Promise<void>}
+   */
+  waitFor(state, { timeout = 30000 } = {}) {
+    if (!CONNECTION_STATES.includes(state)) {
+      return Promise.reject(new Error(`Unknown connection state: ${state}`));
+    }
+    if (this.state === state) {
+      return Promise.resolve();
+    }
+    if (this.state === 'idle' && this.error) {
+      return Promise.reject(this.error);
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      const onChange = ({ to, error }) => {
+        if (to === state) {
+          stop();
+          resolve();
+        } else if (to === 'idle' && error) {
+          stop();
+          reject(error);
+        }
+      };
+      const stop = () => {
+        clearTimeout(timeoutId);
+        this.off('change', onChange);
+      };
+
+      this.on('change', onChange);
+      if (timeout) {
+        timeoutId = setTimeout(() => {
+          stop();
+          reject(new Error(`Timeout after ${timeout}ms waiting for the ${state} state, current state: ${this.state}`));
+        }, timeout);
+      }
+    });
+  }
+}
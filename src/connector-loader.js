@@ -13,25 +13,53 @@ const log = debug('clisk:handshake:loader');
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// script-tag: injected in the current document after navigation, init-script: run at document start on every navigation
+export const INJECTION_MODES = ['script-tag', 'init-script'];
+
+// Set by the connector code injected at document start, so that it only runs once per document
+const INJECTED_FLAG = '__cliskConnectorInjected';
+
+/**
+ * Get the absolute path of a connector directory, connector paths are relative to the runner root
+ * @param {string} connectorPath - Path to the connector directory
+ * @returns {string} absolute path
+ */
+export function getConnectorDir(connectorPath) {
+  // Go up one level since we're now in src/
+  return path.join(__dirname, '..', connectorPath);
+}
+
 /**
  * Load and inject connector code into the page
+ * With the init-script injection, the connector runs before the page scripts on every navigation, like
+ * injectedJavaScriptBeforeContentLoaded in the React Native webview, and is also injected in the current document
  * @param {Page} page - Playwright page instance
  * @param {string} connectorPath - Path to the connector directory
+ * @param {Object} options
+ * @param {string} options.injection - Injection mode, see INJECTION_MODES (default: script-tag)
  */
-export async function loadConnector(page, connectorPath) {
+export async function loadConnector(page, connectorPath, { injection = 'script-tag' } = {}) {
   log(`📦 Loading connector from ${connectorPath}...`);
 
   try {
-    // Read connector main.js file - go up one level since we're now in src/
-    const mainJsPath = path.join(__dirname, '..', connectorPath, 'main.js');
+    // Read connector main.js file
+    const mainJsPath = path.join(getConnectorDir(connectorPath), 'main.js');
     const connectorCode = readFileSync(mainJsPath, 'utf8');
 
-    // Read manifest - go up one level since we're now in src/
-    const manifestPath = path.join(__dirname, '..', connectorPath, 'manifest.konnector');
+    // Read manifest
+    const manifestPath = path.join(getConnectorDir(connectorPath), 'manifest.konnector');
     const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
 
     log(`📋 Connector: ${manifest.name} v${manifest.version}`);
 
+    if (injection === 'init-script') {
+      const initScript = wrapForDocumentStart(connectorCode);
+      await page.addInitScript({ content: initScript });
+      await page.addScriptTag({ content: initScript });
+      log('✅ Connector code registered to run at document start');
+      return manifest;
+    }
+
     // Inject connector code
     await page.addScriptTag({
       content: connectorCode
@@ -45,3 +73,19 @@ export async function loadConnector(page, connectorPath) {
     throw error;
   }
 }
+
+/**
+ * Wrap connector code so that it only runs once per document, and only in the main frame
+ * like injectedJavaScriptBeforeContentLoadedForMainFrameOnly in the React Native webview
+ * @param {string} connectorCode - Connector bundle
+ * @returns {string} script
+ */
+function wrapForDocumentStart(connectorCode) {
+  return `(() => {
+  if (window !== window.top || window.${INJECTED_FLAG}) {
+    return;
+  }
+  window.${INJECTED_FLAG} = true;
+${connectorCode}
+})();`;
+}
@@ -0,0 +1,77 @@
+/**
+ * Connector Watcher Module
+ * Watches the connector directory and tells when its bundle was rebuilt
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import debounce from 'lodash.debounce';
+import debug from 'debug';
+
+const log = debug('clisk:watcher');
+
+// Files read by connector-loader.js
+const WATCHED_FILES = ['main.js', 'manifest.konnector'];
+
+/**
+ * Emit a 'change' event with the changed files once a rebuild of the connector is finished
+ * Bundlers write main.js in several chunks, so changes are debounced
+ */
+export class ConnectorWatcher extends EventEmitter {
+  /**
+   * @param {string} connectorDir - Connector directory
+   * @param {Object} options
+   * @param {number} options.delay - Time without changes before the change event, in ms
+   */
+  constructor(connectorDir, { delay = 500 } = {}) {
+    super();
+    this.connectorDir = connectorDir;
+    this.watcher = null;
+    this.changedFiles = new Set();
+    this.emitChange = debounce(() => {
+      const files = [...this.changedFiles];
+      this.changedFiles.clear();
+      log('🔄 Connector files changed: %s', files.join(', '));
+      this.emit('change', { files, timestamp: Date.now() });
+    }, delay);
+  }
+
+  /**
+   * Start watching the connector directory
+   */
+  start() {
+    if (this.watcher) {
+      return;
+    }
+    // The directory is watched instead of the files, as some bundlers replace main.js instead of writing it
+    this.watcher = fs.watch(this.connectorDir, (eventType, filename) => {
+      if (!filename || !WATCHED_FILES.includes(path.basename(filename))) {
+        return;
+      }
+      // The file can be missing while the bundler writes it, the next event will come when it is there
+      if (!fs.existsSync(path.join(this.connectorDir, filename))) {
+        return;
+      }
+      this.changedFiles.add(filename);
+      this.emitChange();
+    });
+    this.watcher.on('error', error => {
+      log('❌ Watcher error: %O', error);
+      this.emit('error', error);
+    });
+    log('👀 Watching %s in %s', WATCHED_FILES.join(', '), this.connectorDir);
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    this.emitChange.cancel();
+    this.changedFiles.clear();
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
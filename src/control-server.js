@@ -0,0 +1,312 @@
+/**
+ * Control Server Module
+ * Local HTTP and WebSocket API exposing the state and the post-me traffic of a running launcher,
+ * so that editor integrations and dashboards can attach to a run and call connector methods
+ */
+
+import http from 'http';
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import debug from 'debug';
+import { toErrorInfo } from './run-report.js';
+import { PAGE_MESSAGE_EVENTS } from './clisk-page.js';
+
+const log = debug('clisk:control');
+
+export const DEFAULT_CONTROL_PORT = 3100;
+
+// Events kept for GET /events, older ones are dropped
+const EVENTS_BUFFER_SIZE = 1000;
+
+// Hosts of the pages allowed to use the API from a browser
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Events of the worker service forwarded to the clients
+const WORKER_SERVICE_EVENTS = ['url-change', 'reconnection:start', 'reconnection:success', 'reconnection:error', 'reconnection:superseded', 'worker:visibility'];
+
+/**
+ * HTTP API:
+ * - GET /state: connector, page URLs, connection status and step results
+ * - GET /events?since=<seq>: last events, with a seq number growing by one for each event
+ * - POST /pilot/call and POST /worker/call with { method, args }: call a connector method, answers { result }
+ *
+ * WebSocket API on /ws: a { type: 'state' } message on connection, then every event as it happens.
+ * Clients can send { id, type: 'call', target: 'pilot' | 'worker', method, args } and get
+ * { id, type: 'result', result } or { id, type: 'error', error } back
+ *
+ * Requests sent by browser pages which are not served from the local machine are refused,
+ * so that a website opened in the user browser cannot call connector methods
+ */
+export class ControlServer {
+  /**
+   * @param {PlaywrightLauncher} launcher - Launcher to control
+   * @param {Object} options
+   * @param {number} options.port - Port to listen on, 0 for a random one (default: 3100)
+   * @param {string} options.host - Interface to listen on, local only by default as connector methods can be called
+   */
+  constructor(launcher, { port = DEFAULT_CONTROL_PORT, host = '127.0.0.1' } = {}) {
+    this.launcher = launcher;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.wss = null;
+    this.events = [];
+    this.lastSeq = 0;
+  }
+
+  /**
+   * Listen to the launcher, its pages and its worker service
+   * @param {Object} options
+   * @param {CliskPage} options.pilotPage - Pilot page, emitting post-me:message and connection:success events
+   * @param {CliskPage} options.workerPage - Worker page, emitting post-me:message and connection:success events
+   * @param {WorkerService} options.workerService - Emitting url-change, reconnection and visibility events
+   */
+  attach({ pilotPage, workerPage, workerService }) {
+    for (const cliskPage of [pilotPage, workerPage]) {
+      cliskPage.on('post-me:message', ({ pageName, direction, message, timestamp }) => this.publish('post-me', { page: pageName, direction, message, timestamp }));
+      cliskPage.on('connection:success', ({ pageName, url, duration, timestamp }) => this.publish('connection:success', { page: pageName, url, duration, timestamp }));
+      cliskPage.on('connection:state', ({ pageName, from, to, url, error, duration, timestamp }) =>
+        this.publish('connection:state', { page: pageName, from, to, url, error: error ? toErrorInfo(error) : undefined, duration, timestamp })
+      );
+      cliskPage.on('json:alteration', ({ pageName, ...event }) => this.publish('json:alteration', { page: pageName, ...event }));
+      for (const type of Object.values(PAGE_MESSAGE_EVENTS)) {
+        cliskPage.on(type, ({ pageName, ...event }) => this.publish(type, { page: pageName, ...event }));
+      }
+    }
+    for (const type of WORKER_SERVICE_EVENTS) {
+      // The new post-me connection given with reconnection:success cannot be serialized
+      workerService.on(type, ({ connection, ...event } = {}) => this.publish(type, event));
+    }
+    this.launcher.on('step:start', event => this.publish('step:start', event));
+    this.launcher.on('step:end', ({ error, ...event }) => this.publish('step:end', { ...event, error: error ? toErrorInfo(error) : undefined }));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} base URL of the server
+   */
+  async start() {
+    this.server = http.createServer(this.createApp());
+    this.wss = new WebSocketServer({ server: this.server, path: '/ws', verifyClient: ({ origin }) => isLocalOrigin(origin) });
+    this.wss.on('connection', socket => this.handleSocket(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+    log('🎛️ Control server listening on %s', this.getUrl());
+    return this.getUrl();
+  }
+
+  /**
+   * Get the base URL of the server
+   * @returns {string}
+   */
+  getUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Tell the clients that the launcher stops, then close the server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.publish('stopped', {});
+    for (const socket of this.wss.clients) {
+      socket.close(1001, 'Launcher stopped');
+    }
+    await new Promise(resolve => this.wss.close(resolve));
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.wss = null;
+    log('🎛️ Control server stopped');
+  }
+
+  /**
+   * Get the current state of the launcher
+   * @returns {Object} state
+   */
+  getState() {
+    const konnector = this.launcher.getPilotService()?.konnector;
+    const workerService = this.launcher.getWorkerService();
+    return {
+      connector: konnector ? { slug: konnector.slug, name: konnector.name, version: konnector.version } : null,
+      connectorPath: this.launcher.connectorPath,
+      isInitialized: this.launcher.isInitialized,
+      pages: {
+        pilot: describePage(this.launcher.getPilotPage()),
+        worker: {
+          ...describePage(this.launcher.getWorkerPage()),
+          visible: workerService ? workerService.isWorkerVisible() : null,
+          urlMonitoring: workerService ? workerService.isMonitoring() : false
+        }
+      },
+      steps: this.launcher.getStepResults().map(({ error, ...stepResult }) => (error ? { ...stepResult, error: toErrorInfo(error) } : stepResult)),
+      lastSeq: this.lastSeq
+    };
+  }
+
+  /**
+   * Call a method exposed by the connector
+   * @param {string} target - pilot or worker
+   * @param {string} method - Method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<any>} method result
+   */
+  async call(target, method, args = []) {
+    if (!method) {
+      throw new Error('A method name is needed');
+    }
+    log('📞 %s.call(%s) from a control client', target, method);
+    if (target === 'pilot') {
+      return this.launcher.callPilot(method, ...args);
+    }
+    if (target === 'worker') {
+      return this.launcher.callWorker(method, ...args);
+    }
+    throw new Error(`Unknown target: ${target}. Use pilot or worker`);
+  }
+
+  /**
+   * Keep an event and send it to the WebSocket clients
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   * @private
+   */
+  publish(type, data) {
+    const event = { seq: ++this.lastSeq, type, timestamp: Date.now(), ...data };
+    this.events.push(event);
+    if (this.events.length > EVENTS_BUFFER_SIZE) {
+      this.events.shift();
+    }
+    if (this.wss && this.wss.clients.size > 0) {
+      const json = toJson(event);
+      for (const socket of this.wss.clients) {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(json);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create the HTTP routes
+   * @private
+   */
+  createApp() {
+    const app = express();
+    app.use((req, res, next) => {
+      if (!isLocalOrigin(req.get('origin'))) {
+        log('🚫 Request from %s refused', req.get('origin'));
+        res.status(403).json({ error: { name: 'Error', message: 'Only local pages can use the control server' } });
+        return;
+      }
+      next();
+    });
+    app.use(express.json({ limit: '10mb' }));
+
+    app.get('/state', (req, res) => res.json(this.getState()));
+
+    app.get('/events', (req, res) => {
+      const since = Number(req.query.since) || 0;
+      res.json({ events: this.events.filter(event => event.seq > since), lastSeq: this.lastSeq });
+    });
+
+    app.post('/:target/call', async (req, res) => {
+      const { method, args = [] } = req.body || {};
+      if (!method || !Array.isArray(args)) {
+        res.status(400).json({ error: { name: 'Error', message: 'Body must be { method, args } with args as an array' } });
+        return;
+      }
+      try {
+        res.type('json').send(toJson({ result: await this.call(req.params.target, method, args) }));
+      } catch (error) {
+        res.status(500).json({ error: toErrorInfo(error) });
+      }
+    });
+
+    return app;
+  }
+
+  /**
+   * Send the state to a new WebSocket client and answer its calls
+   * @param {WebSocket} socket
+   * @private
+   */
+  handleSocket(socket) {
+    log('🔌 Control client connected');
+    socket.send(toJson({ type: 'state', state: this.getState() }));
+
+    socket.on('message', async data => {
+      let request;
+      try {
+        request = JSON.parse(data.toString());
+      } catch (error) {
+        socket.send(toJson({ type: 'error', error: { name: 'SyntaxError', message: `Invalid JSON message: ${error.message}` } }));
+        return;
+      }
+      if (request.type !== 'call') {
+        socket.send(toJson({ id: request.id, type: 'error', error: { name: 'Error', message: `Unknown message type: ${request.type}` } }));
+        return;
+      }
+      try {
+        const result = await this.call(request.target, request.method, request.args);
+        socket.send(toJson({ id: request.id, type: 'result', result }));
+      } catch (error) {
+        socket.send(toJson({ id: request.id, type: 'error', error: toErrorInfo(error) }));
+      }
+    });
+  }
+}
+
+/**
+ * Describe a page of the launcher
+ * @param {CliskPage|null} cliskPage
+ * @returns {Object} URL and connection status
+ */
+function describePage(cliskPage) {
+  const page = cliskPage?.getPage();
+  return {
+    url: page && !page.isClosed() ? page.url() : null,
+    connected: Boolean(cliskPage?.getConnection()),
+    state: cliskPage?.connectionState?.state ?? null,
+    handshakeInProgress: Boolean(cliskPage?.isHandshakeInProgress)
+  };
+}
+
+/**
+ * Check the Origin header of a request
+ * @param {string|undefined} origin - Origin header, missing for clients which are not browsers
+ * @returns {boolean} true when the request does not come from a page of another website
+ */
+function isLocalOrigin(origin) {
+  if (!origin) {
+    return true;
+  }
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return ['http:', 'https:'].includes(protocol) && LOCAL_HOSTNAMES.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serialize a message, values which cannot be serialized are replaced by a description
+ * @param {Object} value
+ * @returns {string} JSON
+ */
+function toJson(value) {
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return JSON.stringify({ ...value, result: undefined, message: undefined, serializationError: error.message });
+  }
+}
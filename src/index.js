@@ -2,11 +2,39 @@ import { getLogger, configureLogging } from './log-config.js';
 import PlaywrightLauncher from './PlaywrightLauncher.js';
 import minimist from 'minimist';
 import Conf from 'conf';
+import fs from 'fs';
+import path from 'path';
+import { Keychain, KEYCHAIN_PATH } from './keychain.js';
+import { resolveScenario, SCENARIO_STEPS } from './scenarios.js';
+import { resolveHarOptions } from './network-har.js';
+import { ConnectorWatcher } from './connector-watcher.js';
+import { getConnectorDir, INJECTION_MODES } from './connector-loader.js';
+import { startLauncherRepl } from './launcher-repl.js';
+import { expandConnectorPaths, runBatch, formatBatchSummary, toJUnitXml } from './batch-runner.js';
 
 // Parse command line arguments
 const argv = minimist(process.argv.slice(2), {
-  string: ['log-level', 'connector', 'profile', 'domain'],
-  boolean: ['help', 'h', 'stay-open'],
+  string: [
+    'log-level',
+    'connector',
+    'profile',
+    'domain',
+    'last-execution-days',
+    'scenario',
+    'record',
+    'replay',
+    'record-har',
+    'replay-har',
+    'trace',
+    'watch-step',
+    'control-port',
+    'parallel',
+    'timeout',
+    'junit',
+    'injection'
+  ],
+  boolean: ['help', 'h', 'stay-open', 'first-run', 'last-job-error', 'offline', 'report', 'snapshots', 'watch', 'repl', 'control', 'strict-json'],
+  default: { report: true, snapshots: true },
   alias: {
     h: 'help',
     l: 'log-level',
@@ -44,6 +72,10 @@ const config = new Conf({
       type: 'boolean',
       default: false
     },
+    offline: {
+      type: 'boolean',
+      default: false
+    },
     profile: {
       type: 'string',
       default: undefined
@@ -90,6 +122,7 @@ const config = new Conf({
     connector: 'examples/evaluate-konnector',
     logLevel: 'normal',
     stayOpen: false,
+    offline: false,
     profile: undefined,
     destinationFolder: '/cliskDevRunner',
     browser: {
@@ -117,6 +150,8 @@ function showHelp() {
 
 Usage:
   node src/index.js [connector] [options]
+  node src/index.js keychain <list|clear> [slug] [sourceAccountIdentifier]
+  node src/index.js batch <connector|glob>... [--parallel <n>] [--junit <file>] [options]
 
 Arguments:
   connector                    Path to the connector to test (default: examples/evaluate-konnector)
@@ -131,7 +166,52 @@ Options:
   -p, --profile <name>        Specify a profile to use (e.g., "mobile", "desktop")
                               Profiles are stored in ./profile directory
   -d, --domain <name>         Specify the targeted instance
-                              Mandatory to initialize cozy-client
+                              Mandatory to initialize cozy-client, unless --offline is used
+  --offline                   Save documents and files in a local fake cozy-stack (data/offline-stack/)
+                              instead of a Cozy instance
+  --scenario <name|steps>     Lifecycle steps to run: default, logout, fetch-twice, auth-only
+                              or a comma separated list of ensureAuthenticated, ensureNotAuthenticated,
+                              getUserDataFromWebsite and fetch (default: default)
+  --first-run                 Simulate a connector which never ran (empty trigger state)
+  --last-job-error            Simulate a last execution in error
+  --last-execution-days <n>   Simulate a last execution n days ago
+                              Trigger state is saved per connector in data/launcher-context/
+  --injection <mode>          How the connector is injected in the worker: script-tag (after each navigation,
+                              default) or init-script (at document start on every navigation, like the
+                              injectedJavaScriptBeforeContentLoaded of the React Native webview)
+  --strict-json               Send every post-me message as JSON like the React Native message channel, and warn
+                              about the values which are altered or lost (Date, Map, undefined, NaN...)
+  --record [file]             Record all post-me messages in a .jsonl transcript
+                              (default: data/transcripts/<slug>-<date>.jsonl)
+  --replay <file>             Run the pilot against the worker responses of a recorded transcript,
+                              without loading the website
+  --no-report                 Do not write the JSON and HTML run report in runs/<slug>-<date>/
+  --no-snapshots              Do not save screenshots, HTML and console tail of the pages when the execution fails
+  --trace [file]              Record a Playwright trace of the run, with groups for steps, runInWorker calls
+                              and reconnections (default: runs/<slug>-<date>/trace.zip)
+  --watch                     Keep the browser open and run the scenario again each time the connector
+                              main.js is rebuilt, with the same cookies
+  --watch-step <step>         In watch mode, run only this lifecycle step again after a rebuild
+                              (fetch reuses the sourceAccountIdentifier of the first run)
+  --repl                      Open a REPL once the scenario is finished, to call connector methods by hand:
+                              await pilot.call('fetch', ...), await worker.call('checkForElement', sel),
+                              .goto <url>, .reconnect and .cookies [domain] (tab completes method names)
+  --control                   Start a local HTTP and WebSocket API giving the state and the post-me traffic
+                              of the run, and calling pilot or worker methods (http://127.0.0.1:3100)
+  --control-port <port>       Port of the control server (default: 3100)
+  --record-har <file>         Record the network of the pages in a HAR file (.zip to store bodies apart)
+  --replay-har <file>         Answer page requests from a HAR file, requests missing from it are aborted
+
+Commands:
+  keychain list               List cookies saved by connectors with saveCookieToKeychain
+  keychain clear [slug] [id]  Remove saved cookies, for all connectors, one connector or one account
+  batch <connector|glob>...   Run connectors headless one after the other and print a pass/fail summary
+                              Globs like "examples/*-konnector" are relative to the runner root
+    --parallel <n>            Run n connectors at the same time, each one in its own browser (default: 1)
+    --timeout <seconds>       Fail a connector whose lifecycle steps take longer
+    --junit <file>            Also write the results as JUnit XML, for CI dashboards
+                              --scenario, --offline, --domain, --injection, --strict-json and --log-level
+                              (default: quiet) also apply
 
 Configuration:
   The application uses a configuration file that can be overridden by command line options.
@@ -141,6 +221,7 @@ Configuration:
   - connector: Default connector to use
   - logLevel: Default log level
   - stayOpen: Default stay-open behavior
+  - offline: Use the local fake cozy-stack instead of a Cozy instance
   - profile: Default profile to use
   - browser: Browser launch options
   - mobile: Mobile simulation settings
@@ -153,19 +234,138 @@ Examples:
   node src/index.js --profile mobile examples/evaluate-konnector
   node src/index.js --profile desktop --stay-open examples/goto-konnector
   node src/index.js --domain myinstance.mycozy.cloud --stay-open examples/goto-konnector
+  node src/index.js --offline examples/evaluate-konnector
+  node src/index.js --last-execution-days 40 examples/evaluate-konnector
+  node src/index.js --scenario logout examples/evaluate-konnector
+  node src/index.js --injection init-script examples/sample-konnector
+  node src/index.js --strict-json examples/evaluate-konnector
+  node src/index.js --record run.jsonl examples/evaluate-konnector
+  node src/index.js examples/evaluate-konnector --record
+  node src/index.js --offline --replay run.jsonl examples/evaluate-konnector
+  node src/index.js --record-har network.har examples/evaluate-konnector
+  node src/index.js examples/evaluate-konnector --trace
+  node src/index.js --trace=data/traces/template.zip examples/evaluate-konnector
+  node src/index.js --offline --watch examples/evaluate-konnector
+  node src/index.js --offline --watch --watch-step fetch examples/evaluate-konnector
+  node src/index.js --offline --repl --scenario auth-only examples/evaluate-konnector
+  node src/index.js --offline --stay-open --control examples/evaluate-konnector
+  node src/index.js --offline --replay-har network.har examples/evaluate-konnector
+  node src/index.js --scenario ensureAuthenticated,getUserDataFromWebsite,fetch,fetch examples/evaluate-konnector
+  node src/index.js batch --offline "examples/*-konnector" --parallel 3 --junit runs/junit.xml
+  node src/index.js keychain list
+  node src/index.js keychain clear template
 
 Environment Variables:
   LOG_LEVEL                   Set log level (overrides --log-level option)
   DEBUG                       If set to empty string, enables quiet mode
+  CLISK_KEYCHAIN_SECRET       Passphrase used to encrypt the keychain instead of data/keychain.key
 `);
   process.exit(0);
 }
 
+// Manage the local keychain
+async function runKeychainCommand([action, slug, sourceAccountIdentifier]) {
+  const keychain = new Keychain();
+
+  if (action === 'list') {
+    const entries = await keychain.list();
+    if (entries.length === 0) {
+      console.log(`🔐 No entry in keychain (${KEYCHAIN_PATH})`);
+      return;
+    }
+    console.log(`🔐 Keychain entries (${KEYCHAIN_PATH}):`);
+    for (const entry of entries) {
+      console.log(`  ${entry.slug} / ${entry.sourceAccountIdentifier}: ${entry.cookieNames.join(', ')}`);
+    }
+  } else if (action === 'clear') {
+    await keychain.clear(slug, sourceAccountIdentifier);
+    console.log(`🧹 Keychain cleared${slug ? ` for ${slug}${sourceAccountIdentifier ? ` (${sourceAccountIdentifier})` : ''}` : ''}`);
+  } else {
+    console.error(`❌ Unknown keychain action: ${action}. Use "list" or "clear".`);
+    process.exit(1);
+  }
+}
+
 // Show help if requested
 if (argv.help) {
   showHelp();
 }
 
+// Keychain command does not need any browser nor instance
+if (argv._[0] === 'keychain') {
+  try {
+    await runKeychainCommand(argv._.slice(1).map(String));
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Keychain command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run many connectors, the configured connector is not used nor changed
+async function runBatchCommand(patterns) {
+  const parallel = argv.parallel !== undefined ? Number(argv.parallel) : 1;
+  const timeout = argv.timeout !== undefined ? Number(argv.timeout) * 1000 : undefined;
+  const batchScenario = argv.scenario || 'default';
+  const batchOffline = argv.offline || config.get('offline');
+  const batchInstance = argv.domain || config.get('instance');
+
+  if (patterns.length === 0) {
+    throw new Error('Give the connector directories or globs to run, like: batch "examples/*-konnector"');
+  }
+  if (!Number.isInteger(parallel) || parallel < 1) {
+    throw new Error('--parallel must be a number of connectors greater than 0');
+  }
+  if (timeout !== undefined && !(timeout > 0)) {
+    throw new Error('--timeout must be a number of seconds');
+  }
+  if (!batchOffline && !batchInstance) {
+    throw new Error('Twake instance URL is required. Please provide it via --domain, or use --offline.');
+  }
+  if (argv.injection && !INJECTION_MODES.includes(argv.injection)) {
+    throw new Error(`Unknown injection mode: ${argv.injection}. Available modes: ${INJECTION_MODES.join(', ')}`);
+  }
+  resolveScenario(batchScenario);
+  const connectorPaths = expandConnectorPaths(patterns);
+
+  // Logs of parallel connectors would be mixed, the summary is enough by default
+  configureLogging(argv['log-level'] || 'quiet');
+
+  console.log(`🚀 Running ${connectorPaths.length} connectors${parallel > 1 ? `, ${parallel} at a time` : ''} (scenario: ${batchScenario})`);
+  const startedAt = new Date();
+  const results = await runBatch(connectorPaths, {
+    parallel,
+    offline: batchOffline,
+    scenario: batchScenario,
+    timeout,
+    injection: argv.injection || undefined,
+    strictJson: argv['strict-json'],
+    targetedInstance: batchOffline ? undefined : batchInstance,
+    destinationFolder: config.get('destinationFolder'),
+    onResult: result => console.log(`${result.success ? '✅' : '❌'} ${result.connectorPath} (${(result.timings.total / 1000).toFixed(1)}s)${result.error ? `: ${result.error.message}` : ''}`)
+  });
+
+  console.log(`\n${formatBatchSummary(results)}`);
+  console.log(`⏱️ Batch finished in ${((Date.now() - startedAt.getTime()) / 1000).toFixed(1)}s`);
+
+  if (argv.junit) {
+    fs.mkdirSync(path.dirname(path.resolve(argv.junit)), { recursive: true });
+    fs.writeFileSync(argv.junit, toJUnitXml(results, { timestamp: startedAt }));
+    console.log(`🧾 JUnit report: ${argv.junit}`);
+  }
+  return results.every(result => result.success);
+}
+
+if (argv._[0] === 'batch') {
+  try {
+    const success = await runBatchCommand(argv._.slice(1).map(String));
+    process.exit(success ? 0 : 1);
+  } catch (error) {
+    console.error(`❌ Batch command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Update configuration with command line arguments (command line takes precedence)
 if (argv['log-level']) {
   config.set('logLevel', argv['log-level']);
@@ -183,10 +383,12 @@ if (argv.profile) {
 if (argv._[0]) {
   config.set('connector', argv._[0]);
 }
+// --offline only applies to this run, it is not saved in the configuration file
+const offline = argv.offline || config.get('offline');
 if (argv['domain']) {
   config.set('instance', argv['domain']);
-} else if (!argv['domain'] && !config.get('instance')) {
-  console.error("❌ Twake instance URL is required. Please provide it via --domain or set the 'instance' property in the configuration file.");
+} else if (!argv['domain'] && !config.get('instance') && !offline) {
+  console.error("❌ Twake instance URL is required. Please provide it via --domain or set the 'instance' property in the configuration file, or use --offline.");
   process.exit(1);
 }
 
@@ -196,6 +398,89 @@ let logLevel = config.get('logLevel');
 const targetedInstance = config.get('instance');
 const destinationFolder = config.get('destinationFolder');
 
+// Lifecycle steps to run, validated before launching the browser
+const scenario = argv.scenario || 'default';
+try {
+  resolveScenario(scenario);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Post-me transcript to write, and transcript to replay
+// The --record value is optional so it must not swallow the connector path
+const record = argv.record;
+if (record && !record.endsWith('.jsonl')) {
+  console.error(`❌ --record file must be a .jsonl file, got: ${record}. Put --record after the connector path to use the default path.`);
+  process.exit(1);
+}
+const replay = argv.replay;
+if (replay !== undefined && !fs.existsSync(replay)) {
+  console.error(`❌ Transcript to replay not found: ${replay}`);
+  process.exit(1);
+}
+
+// HAR file to write, and HAR file to answer page requests with
+let recordHar;
+let replayHar;
+try {
+  ({ recordHar, replayHar } = resolveHarOptions({ recordHar: argv['record-har'], replayHar: argv['replay-har'] }));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Playwright trace, the value is optional so it must not swallow the connector path
+if (argv.trace && !argv.trace.endsWith('.zip')) {
+  console.error(`❌ --trace file must be a .zip file, got: ${argv.trace}. Put --trace after the connector path to use the default path.`);
+  process.exit(1);
+}
+
+// Watch mode, reloading the connector after each rebuild
+const watch = argv.watch;
+const watchStep = argv['watch-step'];
+if (watchStep !== undefined && !watch) {
+  console.error('❌ --watch-step can only be used with --watch.');
+  process.exit(1);
+}
+if (watchStep !== undefined && !SCENARIO_STEPS.includes(watchStep)) {
+  console.error(`❌ Unknown lifecycle step: ${watchStep}. Available steps: ${SCENARIO_STEPS.join(', ')}`);
+  process.exit(1);
+}
+
+// REPL reading the terminal once the scenario is finished
+const useRepl = argv.repl;
+if (useRepl && watch) {
+  console.error('❌ --repl and --watch cannot be used together.');
+  process.exit(1);
+}
+
+// Injection of the connector in the worker
+const injection = argv.injection || 'script-tag';
+if (!INJECTION_MODES.includes(injection)) {
+  console.error(`❌ Unknown injection mode: ${injection}. Available modes: ${INJECTION_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+// Local control server
+const controlPort = argv['control-port'] !== undefined ? Number(argv['control-port']) : undefined;
+if (controlPort !== undefined && (!argv.control || !Number.isInteger(controlPort) || controlPort < 0 || controlPort > 65535)) {
+  console.error('❌ --control-port must be a port number and can only be used with --control.');
+  process.exit(1);
+}
+const control = argv.control ? { port: controlPort } : undefined;
+
+// Trigger state to simulate, only for this execution
+const simulation = {
+  firstRun: argv['first-run'],
+  lastJobError: argv['last-job-error'],
+  lastExecutionDays: argv['last-execution-days'] !== undefined ? Number(argv['last-execution-days']) : undefined
+};
+if (Number.isNaN(simulation.lastExecutionDays)) {
+  console.error('❌ --last-execution-days must be a number of days.');
+  process.exit(1);
+}
+
 // Check if DEBUG is explicitly set to empty (quiet mode from npm script)
 if (process.env.DEBUG === '') {
   logLevel = 'quiet';
@@ -205,9 +490,77 @@ configureLogging(logLevel);
 
 const log = getLogger('clisk:cli:main');
 
+// Launcher stopped on Ctrl+C, including during its initialization
+let activeLauncher = null;
+// Set by the modes waiting for the user, which stop the launcher themselves on Ctrl+C
+let isShutdownHandled = false;
+
+/**
+ * Run the connector again each time its bundle is rebuilt, until the user stops the runner
+ * Changes made during a run are applied once the run is finished
+ * @param {PlaywrightLauncher} launcher - Initialized launcher
+ */
+async function watchConnector(launcher) {
+  const watchScenario = watchStep ? [watchStep] : scenario;
+  const watcher = new ConnectorWatcher(getConnectorDir(connectorPath));
+  let isRunning = false;
+  let isChangePending = false;
+
+  const rerun = async () => {
+    isRunning = true;
+    do {
+      isChangePending = false;
+      try {
+        await launcher.reloadConnector();
+        await launcher.start({ scenario: watchScenario });
+        console.log('✅ Run finished, waiting for connector changes...');
+      } catch (error) {
+        console.error('❌ Run failed, waiting for connector changes:', error);
+      }
+    } while (isChangePending);
+    isRunning = false;
+  };
+
+  watcher.on('change', ({ files }) => {
+    console.log(`🔄 ${files.join(', ')} changed, reloading the connector`);
+    if (isRunning) {
+      log('⏳ A run is in progress, the connector will be reloaded once it is finished');
+      isChangePending = true;
+      return;
+    }
+    rerun();
+  });
+  watcher.on('error', error => console.error('❌ Cannot watch the connector anymore:', error));
+  watcher.start();
+  console.log(`👀 Watching ${connectorPath} (${watchStep || watchScenario}), press Ctrl+C to stop`);
+
+  isShutdownHandled = true;
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  log('🛑 Stopping watch mode...');
+  watcher.close();
+  await launcher.stop();
+  process.exit(0);
+}
+
+/**
+ * Let the user drive the connector from a REPL, then stop the launcher when the REPL is closed
+ * @param {PlaywrightLauncher} launcher - Initialized launcher
+ */
+async function runRepl(launcher) {
+  console.log("💻 REPL ready: await pilot.call('fetch', ...), await worker.call('checkForElement', selector), .goto <url>, .reconnect, .cookies [domain], .help");
+  console.log('💡 Press Tab to complete method names, .exit or Ctrl+D to stop');
+  await startLauncherRepl(launcher);
+  log('🛑 REPL closed, stopping...');
+  await launcher.stop();
+  process.exit(0);
+}
+
 async function main() {
   log('🚀 Starting CliskDevRunner...');
-  log(`⚙️  Targeted Instance: ${targetedInstance}`);
+  log(`⚙️  Targeted Instance: ${offline ? 'offline stack' : targetedInstance}`);
   log(`📁 Using connector: ${connectorPath}`);
   log(`⚙️  Configuration file: ${config.path}`);
   log(`⚙️  Destination Folder: ${destinationFolder}`);
@@ -220,11 +573,20 @@ async function main() {
     log(`👤 Using profile: ${profile}`);
   }
 
+  log(`🎬 Scenario: ${scenario}`);
+  if (replay) {
+    log(`🔁 Replaying worker responses from: ${replay}`);
+  }
+  if (replayHar) {
+    log(`📼 Replaying network from: ${replayHar}`);
+  }
+
   if (config.get('stayOpen')) {
     log('🔓 Stay-open mode enabled - browser window will remain open after execution');
   }
 
   const launcher = new PlaywrightLauncher();
+  activeLauncher = launcher;
 
   try {
     await launcher.init(connectorPath, {
@@ -232,9 +594,47 @@ async function main() {
       browser: config.get('browser'),
       mobile: config.get('mobile'),
       targetedInstance: targetedInstance,
-      destinationFolder: destinationFolder
+      destinationFolder: destinationFolder,
+      simulation: simulation,
+      offline: offline,
+      record: record,
+      replay: replay,
+      recordHar: recordHar,
+      replayHar: replayHar,
+      report: argv.report,
+      snapshots: argv.snapshots,
+      trace: argv.trace,
+      control: control,
+      injection: injection,
+      strictJson: argv['strict-json']
     });
-    await launcher.start();
+    if (watch) {
+      // A failing first run is what watch mode is for, the browser stays open for the next rebuild
+      try {
+        await launcher.start({ scenario });
+        console.log('✅ Run finished, waiting for connector changes...');
+      } catch (error) {
+        console.error('❌ Run failed, waiting for connector changes:', error);
+      }
+      await watchConnector(launcher);
+      return;
+    }
+
+    if (useRepl) {
+      // The REPL is also useful to investigate a failing step
+      try {
+        await launcher.start({ scenario });
+      } catch (error) {
+        console.error('❌ Run failed, the browser stays open for the REPL:', error);
+      }
+      await runRepl(launcher);
+      return;
+    }
+
+    await launcher.start({ scenario });
+    if (launcher.getRunReportPaths()) {
+      log(`📊 Run report: ${launcher.getRunReportPaths().htmlPath}`);
+    }
 
     if (config.get('stayOpen')) {
       log('\n🎯 Connector execution completed!');
@@ -242,6 +642,7 @@ async function main() {
       log('💡 Close the browser window manually to exit the program.');
 
       // Wait for browser to be closed manually
+      isShutdownHandled = true;
       await new Promise(resolve => {
         let browserClosed = false;
 
@@ -292,12 +693,17 @@ async function main() {
       });
 
       log('✅ Browser closed by user, exiting...');
+      // Saves the HAR, the trace and the transcript
+      await launcher.stop();
       process.exit(0);
     } else {
       await launcher.stop();
     }
   } catch (error) {
     console.error('❌ Test failed:', error);
+    if (launcher.getRunReportPaths()) {
+      console.error(`📊 Run report, to attach to the ticket: ${launcher.getRunReportPaths().htmlPath}`);
+    }
 
     // Cleanup on error (always stop, even in stay-open mode)
     try {
@@ -312,7 +718,14 @@ async function main() {
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
+  // Watch and stay-open modes stop the launcher themselves once they wait for the user
+  if (isShutdownHandled) {
+    return;
+  }
+  isShutdownHandled = true;
   log('\n🛑 Received SIGINT, shutting down gracefully...');
+  // Saves traces and recordings, also when Ctrl+C is pressed before watch mode waits for changes
+  await activeLauncher?.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,88 @@
+/**
+ * JSON Fidelity Module
+ * On the phone, every post-me message crosses ReactNativeWebView.postMessage as a JSON string,
+ * in the runner messages are structured cloned. Finds the values which a JSON round trip would alter or lose
+ */
+
+/**
+ * Find the values of a payload which JSON.stringify then JSON.parse would alter or lose
+ * The function is self-contained, as CliskPage also injects it in the pages
+ * @param {*} value - Payload to check, like a post-me message
+ * @param {string} rootPath - Path of the payload, empty for a whole message
+ * @returns {Array<{ path: string, problem: string, fatal: boolean }>} alterations, fatal ones make JSON.stringify throw
+ */
+export function findJsonAlterations(value, rootPath = '') {
+  const alterations = [];
+  const ancestors = [];
+
+  const childPath = (path, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? (path ? `${path}.${key}` : key) : `${path}[${JSON.stringify(key)}]`);
+
+  const visit = (value, path, container) => {
+    const type = typeof value;
+    if (value === undefined || type === 'function' || type === 'symbol') {
+      const kind = value === undefined ? 'undefined' : type;
+      const problem = { object: `${kind} property is dropped`, array: `${kind} becomes null`, root: `${kind} payload is lost` }[container];
+      alterations.push({ path, problem, fatal: false });
+      return;
+    }
+    if (type === 'bigint') {
+      alterations.push({ path, problem: 'BigInt cannot be serialized', fatal: true });
+      return;
+    }
+    if (type === 'number' && !Number.isFinite(value)) {
+      alterations.push({ path, problem: `${value} becomes null`, fatal: false });
+      return;
+    }
+    if (value === null || type !== 'object') {
+      return;
+    }
+
+    if (ancestors.includes(value)) {
+      alterations.push({ path, problem: 'circular reference cannot be serialized', fatal: true });
+      return;
+    }
+    // Checks work with values from another realm, like a frame
+    if (Object.prototype.toString.call(value) === '[object Date]') {
+      alterations.push({ path, problem: `Date becomes the string ${JSON.stringify(value)}`, fatal: false });
+      return;
+    }
+    if (typeof value.toJSON === 'function') {
+      alterations.push({ path, problem: 'object becomes the value of its toJSON method', fatal: false });
+      return;
+    }
+
+    ancestors.push(value);
+    if (Array.isArray(value)) {
+      for (let index = 0; index < value.length; index++) {
+        if (index in value) {
+          visit(value[index], `${path}[${index}]`, 'array');
+        } else {
+          alterations.push({ path: `${path}[${index}]`, problem: 'empty array slot becomes null', fatal: false });
+        }
+      }
+    } else {
+      const prototype = Object.getPrototypeOf(value);
+      if (prototype !== null && Object.getPrototypeOf(prototype) !== null) {
+        // Map, Set, Error, RegExp, typed arrays and class instances only keep their own enumerable properties
+        const name = value.constructor?.name || 'object';
+        try {
+          const json = JSON.stringify(value);
+          alterations.push({ path, problem: `${name} becomes ${json.length > 40 ? `${json.slice(0, 40)}…` : json}`, fatal: false });
+        } catch (error) {
+          alterations.push({ path, problem: `${name} cannot be serialized: ${error.message}`, fatal: true });
+        }
+      } else {
+        for (const key of Object.keys(value)) {
+          visit(value[key], childPath(path, key), 'object');
+        }
+        for (const symbol of Object.getOwnPropertySymbols(value)) {
+          alterations.push({ path: `${path}[${symbol.toString()}]`, problem: 'symbol key is dropped', fatal: false });
+        }
+      }
+    }
+    ancestors.pop();
+  };
+
+  visit(value, rootPath, 'root');
+  return alterations;
+}
@@ -0,0 +1,189 @@
+/**
+ * Keychain Module
+ * Emulates the React Native launcher keychain used by saveCookieToKeychain / getCookieFromKeychainByName
+ * Cookies are stored per connector slug and sourceAccountIdentifier, encrypted at rest in data/keychain.json
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+
+const log = debug('clisk:keychain');
+
+const DATA_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), '../data');
+export const KEYCHAIN_PATH = path.join(DATA_DIR, 'keychain.json');
+export const KEYCHAIN_KEY_PATH = path.join(DATA_DIR, 'keychain.key');
+
+// Account used when a cookie is saved before getUserDataFromWebsite gave a sourceAccountIdentifier
+export const DEFAULT_ACCOUNT = 'default';
+
+const ALGORITHM = 'aes-256-gcm';
+
+export class Keychain {
+  /**
+   * @param {Object} options
+   * @param {string} [options.filePath] - Encrypted keychain file
+   * @param {string} [options.keyPath] - File holding the generated encryption key
+   * @param {string} [options.secret] - Passphrase used instead of the key file (defaults to CLISK_KEYCHAIN_SECRET)
+   */
+  constructor({ filePath = KEYCHAIN_PATH, keyPath = KEYCHAIN_KEY_PATH, secret = process.env.CLISK_KEYCHAIN_SECRET } = {}) {
+    this.filePath = filePath;
+    this.keyPath = keyPath;
+    this.secret = secret;
+    this.key = null;
+  }
+
+  /**
+   * Save a cookie for a connector account, replacing any cookie with the same name
+   * @param {string} slug - Connector slug
+   * @param {string|null} sourceAccountIdentifier - Website account, last used account if unknown
+   * @param {Object} cookie - Cookie object, must have a name
+   */
+  async saveCookie(slug, sourceAccountIdentifier, cookie) {
+    if (!cookie?.name) {
+      throw new Error('saveCookie: cookie must have a name');
+    }
+
+    const store = await this.read();
+    const connectorEntry = (store[slug] = store[slug] || { lastAccount: null, accounts: {} });
+    const account = sourceAccountIdentifier || connectorEntry.lastAccount || DEFAULT_ACCOUNT;
+
+    connectorEntry.accounts[account] = { ...connectorEntry.accounts[account], [cookie.name]: cookie };
+    connectorEntry.lastAccount = account;
+
+    await this.write(store);
+    log('🔐 Cookie %s saved for %s (%s)', cookie.name, slug, account);
+  }
+
+  /**
+   * Get a cookie for a connector account
+   * @param {string} slug - Connector slug
+   * @param {string|null} sourceAccountIdentifier - Website account, last used account if unknown
+   * @param {string} cookieName - Name of the cookie
+   * @returns {Promise<Object|null>} The cookie or null if not found
+   */
+  async getCookie(slug, sourceAccountIdentifier, cookieName) {
+    const store = await this.read();
+    const connectorEntry = store[slug];
+    const account = sourceAccountIdentifier || connectorEntry?.lastAccount || DEFAULT_ACCOUNT;
+    const cookie = connectorEntry?.accounts[account]?.[cookieName] || null;
+    log('🔍 Cookie %s for %s (%s): %s', cookieName, slug, account, cookie ? 'found' : 'not found');
+    return cookie;
+  }
+
+  /**
+   * List stored entries without cookie values
+   * @returns {Promise<Array<{slug: string, sourceAccountIdentifier: string, cookieNames: string[]}>>}
+   */
+  async list() {
+    const store = await this.read();
+    return Object.entries(store).flatMap(([slug, { accounts }]) =>
+      Object.entries(accounts).map(([sourceAccountIdentifier, cookies]) => ({
+        slug,
+        sourceAccountIdentifier,
+        cookieNames: Object.keys(cookies)
+      }))
+    );
+  }
+
+  /**
+   * Remove stored entries
+   * @param {string} [slug] - Only clear this connector, everything if not given
+   * @param {string} [sourceAccountIdentifier] - Only clear this account of the connector
+   */
+  async clear(slug, sourceAccountIdentifier) {
+    if (!slug) {
+      // No need to decrypt to wipe everything, which also recovers from a lost key
+      await fs.rm(this.filePath, { force: true });
+      log('🧹 Keychain cleared: all entries');
+      return;
+    }
+
+    const store = await this.read();
+    if (store[slug] && sourceAccountIdentifier) {
+      delete store[slug].accounts[sourceAccountIdentifier];
+      if (store[slug].lastAccount === sourceAccountIdentifier) {
+        store[slug].lastAccount = null;
+      }
+      await this.write(store);
+    } else {
+      delete store[slug];
+      await this.write(store);
+    }
+    log('🧹 Keychain cleared: %s%s', slug, sourceAccountIdentifier ? ` (${sourceAccountIdentifier})` : '');
+  }
+
+  /**
+   * Read and decrypt the keychain file
+   * @private
+   */
+  async read() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw err;
+    }
+
+    const { iv, tag, data } = JSON.parse(raw);
+    const decipher = crypto.createDecipheriv(ALGORITHM, await this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      return JSON.parse(decrypted.toString('utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot decrypt keychain at ${this.filePath}, the key may have changed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Encrypt and write the keychain file
+   * @private
+   */
+  async write(store) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, await this.getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(store), 'utf-8'), cipher.final()]);
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const content = {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    await fs.writeFile(this.filePath, JSON.stringify(content, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  /**
+   * Get the encryption key from the secret or from the key file, which is generated on first use
+   * @private
+   */
+  async getKey() {
+    if (this.key) {
+      return this.key;
+    }
+
+    if (this.secret) {
+      this.key = crypto.scryptSync(this.secret, 'clisk-dev-runner-keychain', 32);
+      return this.key;
+    }
+
+    try {
+      this.key = Buffer.from(await fs.readFile(this.keyPath, 'utf-8'), 'hex');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      this.key = crypto.randomBytes(32);
+      await fs.mkdir(path.dirname(this.keyPath), { recursive: true });
+      await fs.writeFile(this.keyPath, this.key.toString('hex'), { encoding: 'utf-8', mode: 0o600 });
+      log('🔑 Keychain key generated at %s', this.keyPath);
+    }
+    return this.key;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Launcher Context Module
+ * Builds the io.cozy.accounts, io.cozy.triggers and io.cozy.jobs documents given by the React Native launcher
+ * to the connector. Account and trigger are persisted per connector in data/launcher-context/<slug>.json
+ * so that the trigger state follows the previous executions, like on a real Cozy.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+
+const log = debug('clisk:launcher:context');
+
+export const LAUNCHER_CONTEXT_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), '../data/launcher-context');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the launcher context of a connector, creating account and trigger on first use
+ * @param {Object} konnector - Connector manifest
+ * @param {Object} simulation - Trigger state to simulate for this execution
+ * @param {boolean} simulation.firstRun - Simulate a connector which never ran
+ * @param {boolean} simulation.lastJobError - Simulate a last execution in error
+ * @param {number} simulation.lastExecutionDays - Simulate a last execution N days ago
+ * @param {string} dir - Directory where contexts are persisted
+ * @returns {Promise<{account: Object, trigger: Object, job: Object, storedTriggerState: Object}>} storedTriggerState is the
+ * trigger state before the simulation, which the job result is saved on
+ */
+export async function loadLauncherContext(konnector, simulation = {}, dir = LAUNCHER_CONTEXT_DIR) {
+  const filePath = getContextPath(konnector.slug, dir);
+
+  let stored = null;
+  try {
+    stored = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    log('📂 Launcher context loaded from %s', filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    log('🆕 No launcher context for %s, creating one', konnector.slug);
+  }
+
+  const account = stored?.account || createAccount(konnector);
+  const trigger = stored?.trigger || createTrigger(konnector, account);
+  const storedTriggerState = trigger.current_state;
+  trigger.current_state = simulateTriggerState(storedTriggerState, simulation);
+  const job = createJob(konnector, account, trigger);
+
+  log('📋 Trigger state: %O', trigger.current_state);
+  return { account, trigger, job, storedTriggerState };
+}
+
+/**
+ * Record the result of the execution in the trigger state and persist the context
+ * The simulated trigger state is not persisted, only the real result on top of the stored state.
+ * The context is updated too, so that the next execution of the same process starts from the saved state
+ * @param {Object} launcherContext - Context returned by loadLauncherContext
+ * @param {Error|null} error - Error which stopped the execution, if any
+ * @param {string} dir - Directory where contexts are persisted
+ */
+export async function saveJobResult(launcherContext, error = null, dir = LAUNCHER_CONTEXT_DIR) {
+  const { account, trigger, job, storedTriggerState = trigger.current_state } = launcherContext;
+  const now = new Date().toISOString();
+
+  job.state = error ? 'errored' : 'done';
+  job.finished_at = now;
+
+  trigger.current_state = {
+    ...storedTriggerState,
+    status: job.state,
+    last_execution: now,
+    last_executed_job_id: job._id,
+    ...(error ? { last_failure: now, last_error: error.message } : { last_success: now, last_successful_job_id: job._id })
+  };
+  if (!error) {
+    delete trigger.current_state.last_error;
+  }
+  launcherContext.storedTriggerState = trigger.current_state;
+
+  const filePath = getContextPath(account.account_type, dir);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ account, trigger }, null, 2), 'utf-8');
+  log('💾 Job result (%s) saved to %s', job.state, filePath);
+}
+
+/**
+ * Give a new job to the next execution of the same process, like a watch mode or REPL rerun
+ * @param {Object} launcherContext - Context returned by loadLauncherContext, its job is replaced
+ * @returns {Object} new job
+ */
+export function startNextJob(launcherContext) {
+  const { account, trigger } = launcherContext;
+  launcherContext.job = createJob({ slug: account.account_type }, account, trigger);
+  log('📋 New job %s, trigger state: %O', launcherContext.job._id, trigger.current_state);
+  return launcherContext.job;
+}
+
+/**
+ * Compute the trigger state to use for this execution
+ * @param {Object} currentState - Trigger current_state from previous executions
+ * @param {Object} simulation - See loadLauncherContext
+ * @param {number} now - Current timestamp
+ * @returns {Object} trigger current_state
+ */
+export function simulateTriggerState(currentState = {}, { firstRun = false, lastJobError = false, lastExecutionDays } = {}, now = Date.now()) {
+  if (firstRun) {
+    return { status: 'queued' };
+  }
+
+  const state = { ...currentState };
+  const hasLastExecutionDays = lastExecutionDays !== undefined && lastExecutionDays !== null && !Number.isNaN(Number(lastExecutionDays));
+
+  if (!hasLastExecutionDays && !lastJobError) {
+    return state;
+  }
+
+  const lastExecution = hasLastExecutionDays ? now - Number(lastExecutionDays) * DAY : state.last_execution ? Date.parse(state.last_execution) : now - DAY;
+  state.last_execution = new Date(lastExecution).toISOString();
+
+  if (lastJobError) {
+    state.status = 'errored';
+    state.last_failure = state.last_execution;
+    state.last_error = 'UNKNOWN_ERROR';
+    // The last success happened before the failure
+    if (!state.last_success || Date.parse(state.last_success) >= lastExecution) {
+      state.last_success = new Date(lastExecution - DAY).toISOString();
+    }
+  } else {
+    state.status = 'done';
+    state.last_success = state.last_execution;
+    delete state.last_error;
+    if (state.last_failure && Date.parse(state.last_failure) >= lastExecution) {
+      delete state.last_failure;
+    }
+  }
+
+  return state;
+}
+
+function getContextPath(slug, dir) {
+  return path.join(dir, `${slug}.json`);
+}
+
+function createAccount(konnector) {
+  return {
+    _id: crypto.randomUUID().replace(/-/g, ''),
+    _type: 'io.cozy.accounts',
+    account_type: konnector.slug,
+    auth: {},
+    state: null,
+    cozyMetadata: {
+      createdByApp: 'cliskDevRunner',
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+function createTrigger(konnector, account) {
+  return {
+    _id: crypto.randomUUID().replace(/-/g, ''),
+    _type: 'io.cozy.triggers',
+    type: '@client',
+    worker: 'konnector',
+    arguments: '',
+    message: {
+      account: account._id,
+      konnector: konnector.slug
+    },
+    current_state: { status: 'queued' }
+  };
+}
+
+function createJob(konnector, account, trigger) {
+  const now = new Date().toISOString();
+  return {
+    _id: crypto.randomUUID().replace(/-/g, ''),
+    _type: 'io.cozy.jobs',
+    worker: 'konnector',
+    trigger_id: trigger._id,
+    message: {
+      account: account._id,
+      konnector: konnector.slug
+    },
+    state: 'running',
+    queued_at: now,
+    started_at: now
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Launcher REPL Module
+ * Interactive REPL attached to a running PlaywrightLauncher, to call connector methods by hand
+ */
+
+import fs from 'fs';
+import path from 'path';
+import repl from 'repl';
+import util from 'util';
+import debug from 'debug';
+import { getConnectorDir } from './connector-loader.js';
+
+const log = debug('clisk:repl');
+
+// Methods exposed by every cozy-clisk ContentScript, connectors add theirs with additionalExposedMethodsNames
+export const CONTENT_SCRIPT_METHODS = [
+  'setContentScriptType',
+  'ensureAuthenticated',
+  'ensureNotAuthenticated',
+  'checkAuthenticated',
+  'waitForAuthenticated',
+  'waitForNotAuthenticated',
+  'waitForElementNoReload',
+  'getUserDataFromWebsite',
+  'fetch',
+  'click',
+  'fillText',
+  'storeFromWorker',
+  'clickAndWait',
+  'getCookiesByDomain',
+  'getCookieByDomainAndName',
+  'downloadFileInWorker',
+  'getDebugData',
+  'getCliskVersion',
+  'checkForElement',
+  'evaluate'
+];
+
+/**
+ * Get the names of the methods exposed by a connector
+ * Additional methods are read from the additionalExposedMethodsNames option found in the connector bundle
+ * @param {string} connectorPath - Path to the connector directory
+ * @returns {Array<string>} method names
+ */
+export function getConnectorMethodNames(connectorPath) {
+  let code;
+  try {
+    code = fs.readFileSync(path.join(getConnectorDir(connectorPath), 'main.js'), 'utf8');
+  } catch (error) {
+    log('⚠️ Could not read connector code, only ContentScript methods are completed: %s', error.message);
+    return [...CONTENT_SCRIPT_METHODS];
+  }
+
+  const additionalMethods = [];
+  for (const [, names] of code.matchAll(/additionalExposedMethodsNames\s*:\s*\[([^\]]*)\]/g)) {
+    additionalMethods.push(...Array.from(names.matchAll(/['"`](\w+)['"`]/g), ([, name]) => name));
+  }
+  return [...new Set([...CONTENT_SCRIPT_METHODS, ...additionalMethods])];
+}
+
+/**
+ * Complete the method name of a pilot.call or worker.call being typed
+ * @param {string} line - Line typed before the cursor
+ * @param {Array<string>} methodNames - Method names exposed by the connector
+ * @returns {Array|null} readline completion ([matching names, typed prefix]), or null if the cursor is not in a method name
+ */
+export function completeMethodName(line, methodNames) {
+  const match = /\b(?:pilot|worker)\.call\(\s*['"`](\w*)$/.exec(line);
+  if (!match) {
+    return null;
+  }
+  const [, prefix] = match;
+  return [methodNames.filter(name => name.startsWith(prefix)), prefix];
+}
+
+/**
+ * Start a REPL driving the connector of a launcher
+ * The context gives pilot.call, worker.call, goto, reconnect, cookies and the launcher itself
+ * @param {PlaywrightLauncher} launcher - Initialized launcher
+ * @param {Object} options
+ * @param {stream.Readable} options.input - REPL input (default: process.stdin)
+ * @param {stream.Writable} options.output - REPL output (default: process.stdout)
+ * @returns {Promise<void>} resolved when the user leaves the REPL
+ */
+export function startLauncherRepl(launcher, { input = process.stdin, output = process.stdout } = {}) {
+  const methodNames = getConnectorMethodNames(launcher.connectorPath);
+
+  const pilot = { call: (method, ...args) => launcher.callPilot(method, ...args) };
+  const worker = { call: (method, ...args) => launcher.callWorker(method, ...args) };
+  const commands = {
+    goto: url => launcher.getPilotPage().getLocalMethods().setWorkerState({ url }),
+    reconnect: () => launcher.getWorkerService().manualReconnect(),
+    cookies: async domain => {
+      if (domain) {
+        // Same shape as the cookies given to the connector
+        return Object.values(await launcher.getWorkerService().cookieService.getCookiesByDomain(domain));
+      }
+      return launcher.context.cookies();
+    }
+  };
+
+  const server = repl.start({ prompt: 'clisk> ', input, output, useGlobal: false });
+  Object.assign(server.context, { launcher, pilot, worker, ...commands });
+
+  const print = result => output.write(`${util.inspect(result, { colors: server.useColors, depth: 4 })}\n`);
+  const runCommand = promise =>
+    promise
+      .then(result => result !== undefined && print(result))
+      .catch(error => output.write(`❌ ${error.message}\n`))
+      .finally(() => server.displayPrompt());
+
+  server.defineCommand('goto', {
+    help: 'Navigate the worker to a URL and wait for the new handshake, like ContentScript.goto',
+    action(url) {
+      if (!url.trim()) {
+        output.write('Usage: .goto <url>\n');
+        this.displayPrompt();
+        return;
+      }
+      runCommand(commands.goto(url.trim()));
+    }
+  });
+  server.defineCommand('reconnect', {
+    help: 'Inject the connector in the worker again and redo the handshake (WorkerService.manualReconnect)',
+    action() {
+      runCommand(commands.reconnect().then(() => '✅ Worker reconnected'));
+    }
+  });
+  server.defineCommand('cookies', {
+    help: 'List the cookies of the browser context, or the cookies sent to a domain: .cookies [domain]',
+    action(domain) {
+      runCommand(commands.cookies(domain.trim()));
+    }
+  });
+
+  // Method names are completed inside pilot.call(' and worker.call(', other completions are the usual ones
+  const defaultCompleter = server.completer;
+  server.completer = (line, callback) => {
+    const completion = completeMethodName(line, methodNames);
+    if (completion) {
+      callback(null, completion);
+      return;
+    }
+    defaultCompleter.call(server, line, callback);
+  };
+
+  log('💻 REPL started with %d connector methods', methodNames.length);
+  return new Promise(resolve => server.on('exit', resolve));
+}
@@ -0,0 +1,169 @@
+/**
+ * Mango Selector Module
+ * Minimal implementation of CouchDB mango selectors, sorting and collation used by the offline cozy-stack
+ */
+
+// CouchDB collation order between types
+const TYPE_RANKS = { null: 0, boolean: 1, number: 2, string: 3, array: 4, object: 5 };
+
+/**
+ * Get a value from a document with a dotted path
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path, like cozyMetadata.sourceAccountIdentifier
+ * @returns {any} value or undefined
+ */
+export function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Check if a document matches a mango selector
+ * @param {Object} doc - Document
+ * @param {Object} selector - Mango selector
+ * @returns {boolean}
+ */
+export function matchSelector(doc, selector = {}) {
+  return Object.entries(selector || {}).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(subSelector => matchSelector(doc, subSelector));
+      case '$or':
+        return condition.some(subSelector => matchSelector(doc, subSelector));
+      case '$nor':
+        return !condition.some(subSelector => matchSelector(doc, subSelector));
+      case '$not':
+        return !matchSelector(doc, condition);
+      default:
+        return matchCondition(getPath(doc, key), condition);
+    }
+  });
+}
+
+/**
+ * Compare two values with CouchDB collation
+ * @returns {number} negative if a < b, 0 if equal, positive if a > b
+ */
+export function collate(a, b) {
+  const rankA = TYPE_RANKS[typeOf(a)];
+  const rankB = TYPE_RANKS[typeOf(b)];
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  switch (typeOf(a)) {
+    case 'null':
+      return 0;
+    case 'boolean':
+    case 'number':
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 'string':
+      return a.localeCompare(b);
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = collate(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    default:
+      return collate(JSON.stringify(a), JSON.stringify(b));
+  }
+}
+
+/**
+ * Sort documents like a mango sort
+ * @param {Array<Object>} docs - Documents
+ * @param {Array<Object>} sort - Mango sort, like [{ date: 'desc' }]
+ * @returns {Array<Object>} sorted copy of docs
+ */
+export function sortDocuments(docs, sort = []) {
+  if (!sort || sort.length === 0) {
+    return [...docs];
+  }
+
+  const fields = sort.map(field => (typeof field === 'string' ? [field, 'asc'] : Object.entries(field)[0]));
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const result = collate(toCollatable(getPath(a, path)), toCollatable(getPath(b, path)));
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+function matchCondition(value, condition) {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => matchOperator(value, operator, operand));
+  }
+
+  // Nested selector, like { cozyMetadata: { createdByApp: 'template' } }
+  if (isPlainObject(condition)) {
+    return isPlainObject(value) && matchSelector(value, condition);
+  }
+
+  return isEqual(value, condition);
+}
+
+function matchOperator(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return isEqual(value, operand);
+    case '$ne':
+      return !isEqual(value, operand);
+    case '$gt':
+      return value !== undefined && collate(toCollatable(value), operand) > 0;
+    case '$gte':
+      return value !== undefined && collate(toCollatable(value), operand) >= 0;
+    case '$lt':
+      return value !== undefined && collate(toCollatable(value), operand) < 0;
+    case '$lte':
+      return value !== undefined && collate(toCollatable(value), operand) <= 0;
+    case '$in':
+      return operand.some(item => isEqual(value, item));
+    case '$nin':
+      return !operand.some(item => isEqual(value, item));
+    case '$exists':
+      return operand ? value !== undefined : value === undefined;
+    case '$regex':
+      return typeof value === 'string' && new RegExp(operand).test(value);
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$all':
+      return Array.isArray(value) && operand.every(item => value.some(element => isEqual(element, item)));
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(element => (isPlainObject(element) && !isOperatorObject(operand) ? matchSelector(element, operand) : matchCondition(element, operand)));
+    case '$not':
+      return !matchCondition(value, operand);
+    default:
+      throw new Error(`Unsupported mango operator: ${operator}`);
+  }
+}
+
+function isEqual(a, b) {
+  return collate(toCollatable(a), toCollatable(b)) === 0 && a !== undefined;
+}
+
+function toCollatable(value) {
+  return value instanceof Date ? value.toISOString() : value === undefined ? null : value;
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value === 'object' ? 'object' : typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
@@ -0,0 +1,50 @@
+/**
+ * Network HAR Module
+ * Records the network of the pilot and the worker in a HAR file, or answers their requests with a recorded one
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Check the HAR files given to --record-har and --replay-har
+ * @param {Object} options
+ * @param {string} options.recordHar - HAR file to write, empty string when the flag has no value
+ * @param {string} options.replayHar - HAR file to answer page requests with, empty string when the flag has no value
+ * @returns {{ recordHar: string|undefined, replayHar: string|undefined }} HAR files to use
+ */
+export function resolveHarOptions({ recordHar, replayHar } = {}) {
+  if (recordHar === '' || replayHar === '') {
+    throw new Error('--record-har and --replay-har need a HAR file path.');
+  }
+  if (recordHar && replayHar) {
+    throw new Error('--record-har and --replay-har cannot be used together.');
+  }
+  if (replayHar && !fs.existsSync(replayHar)) {
+    throw new Error(`HAR file to replay not found: ${replayHar}`);
+  }
+  return { recordHar: recordHar || undefined, replayHar: replayHar || undefined };
+}
+
+/**
+ * Browser context options saving the network of all pages in a HAR file, written when the context is closed
+ * @param {string} recordHar - HAR file to write, .zip to store bodies apart
+ * @returns {Object} options to add to the context options, none without recordHar
+ */
+export function getRecordHarContextOptions(recordHar) {
+  if (!recordHar) {
+    return {};
+  }
+  fs.mkdirSync(path.dirname(path.resolve(recordHar)), { recursive: true });
+  return { recordHar: { path: recordHar, mode: 'full' } };
+}
+
+/**
+ * Answer the requests of all pages with a HAR file
+ * Routes are set on the context, so they also apply after worker navigations and reconnections
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {string} replayHar - HAR file to answer requests with, requests missing from it are aborted
+ */
+export async function replayHarInContext(context, replayHar) {
+  await context.routeFromHAR(replayHar, { notFound: 'abort' });
+}
@@ -0,0 +1,497 @@
+/**
+ * Offline Client Module
+ * Local replacement of cozy-client and cozy-stack used in offline mode. It implements the parts of the
+ * cozy-client API used by saveFiles, saveIdentity, saveBills and queryAll, and stores documents and
+ * file contents on disk in data/offline-stack/
+ *
+ * - <dir>/<doctype>.json : documents of each doctype, indexed by _id
+ * - <dir>/files/<cozy path> : content of io.cozy.files files
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import debug from 'debug';
+import { matchSelector, sortDocuments } from './mango-selector.js';
+
+const log = debug('clisk:offline-client');
+
+export const OFFLINE_STACK_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), '../data/offline-stack');
+
+const FILES_DOCTYPE = 'io.cozy.files';
+export const ROOT_DIR_ID = 'io.cozy.files.root-dir';
+
+// Documents of each offline stack directory, outside of the clients: cozy-clisk saveBills deep clones its options
+// with the client, and the copy must save in the same documents as the client
+const stackDocuments = new Map();
+
+const MIME_TYPES = {
+  '.pdf': ['application/pdf', 'pdf'],
+  '.jpg': ['image/jpeg', 'image'],
+  '.jpeg': ['image/jpeg', 'image'],
+  '.png': ['image/png', 'image'],
+  '.txt': ['text/plain', 'text'],
+  '.html': ['text/html', 'text'],
+  '.json': ['application/json', 'text'],
+  '.csv': ['text/csv', 'text'],
+  '.zip': ['application/zip', 'files']
+};
+
+/**
+ * Error with the same shape as cozy-client FetchError, so that callers checking status keep working
+ */
+export class OfflineStackError extends Error {
+  constructor(status, reason) {
+    super(`${status} ${reason}`);
+    this.name = 'OfflineStackError';
+    this.status = status;
+    this.reason = reason;
+    this.response = { status };
+  }
+}
+
+export class OfflineClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - Directory where documents and files are stored
+   * @param {Object} [options.appMetadata] - Same as cozy-client appMetadata, slug is used as createdByApp
+   */
+  constructor({ dir = OFFLINE_STACK_DIR, appMetadata = {} } = {}) {
+    this.dir = dir;
+    this.appMetadata = appMetadata;
+    stackDocuments.set(path.resolve(dir), {});
+    this.load();
+  }
+
+  /**
+   * Stored documents indexed by doctype then _id
+   * @returns {Object<string, Object<string, Object>>}
+   */
+  get documents() {
+    return stackDocuments.get(path.resolve(this.dir));
+  }
+
+  /**
+   * Get a collection, io.cozy.files has the files specific methods
+   * @param {string} doctype
+   */
+  collection(doctype) {
+    return doctype === FILES_DOCTYPE ? new OfflineFileCollection(this) : new OfflineDocumentCollection(this, doctype);
+  }
+
+  /**
+   * Run a query definition (from Q()) against stored documents
+   * @param {Object} queryDef - cozy-client QueryDefinition
+   * @returns {Promise<{data: Array<Object>|Object, included: Array<Object>, next: boolean, meta: Object}>}
+   */
+  async query(queryDef) {
+    if (queryDef.id) {
+      return { data: this.getDocument(queryDef.doctype, queryDef.id) };
+    }
+
+    const docs = this.findDocuments(queryDef);
+    const skip = queryDef.skip || 0;
+    const data = queryDef.limit ? docs.slice(skip, skip + queryDef.limit) : docs.slice(skip);
+    return {
+      data,
+      // Documents referenced by another document are returned in included by the references endpoint
+      included: queryDef.referenced ? data : [],
+      next: skip + data.length < docs.length,
+      meta: { count: docs.length }
+    };
+  }
+
+  /**
+   * Run a query definition and return all matching documents
+   * @param {Object} queryDef - cozy-client QueryDefinition
+   * @returns {Promise<Array<Object>>}
+   */
+  async queryAll(queryDef) {
+    if (queryDef.id) {
+      return [this.getDocument(queryDef.doctype, queryDef.id)];
+    }
+    return this.findDocuments(queryDef);
+  }
+
+  /**
+   * Create or update a document, files with content are written on disk
+   * @param {Object} document - Document with a _type
+   * @returns {Promise<{data: Object}>}
+   */
+  async save(document) {
+    const { _type: doctype } = document;
+    if (!doctype) {
+      throw new Error('OfflineClient.save: document must have a _type');
+    }
+
+    if (doctype === FILES_DOCTYPE && document.type === 'file' && document.data !== undefined) {
+      return { data: this.collection(FILES_DOCTYPE).writeFile(document) };
+    }
+
+    return { data: this.putDocument(doctype, document) };
+  }
+
+  /**
+   * Delete a document
+   * @param {Object} document - Document with _type and _id
+   */
+  async destroy(document) {
+    this.getDocument(document._type, document._id);
+    delete this.documents[document._type][document._id];
+    this.persist(document._type);
+    return { data: { ...document, _deleted: true } };
+  }
+
+  /**
+   * Find documents matching a query definition
+   * @private
+   */
+  findDocuments(queryDef) {
+    const { doctype, ids, selector, partialFilter, referenced, sort } = queryDef;
+    let docs = Object.values(this.documents[doctype] || {});
+
+    if (ids) {
+      docs = docs.filter(doc => ids.includes(doc._id));
+    }
+    if (referenced) {
+      docs = docs.filter(doc => (doc.referenced_by || []).some(ref => ref.type === referenced._type && ref.id === referenced._id));
+    }
+    docs = docs.filter(doc => matchSelector(doc, selector) && matchSelector(doc, partialFilter));
+
+    return sortDocuments(docs, sort);
+  }
+
+  /**
+   * Get a stored document or throw a 404 error
+   * @private
+   */
+  getDocument(doctype, id) {
+    const doc = this.documents[doctype]?.[id];
+    if (!doc) {
+      throw new OfflineStackError(404, `Document ${doctype}/${id} not found`);
+    }
+    return doc;
+  }
+
+  /**
+   * Create or update a document in the store, like the stack and cozy-client do
+   * @private
+   */
+  putDocument(doctype, document) {
+    // Documents cross the store as JSON, like with the stack
+    const doc = JSON.parse(JSON.stringify(document));
+    const now = new Date().toISOString();
+    const existing = doc._id ? this.documents[doctype]?.[doc._id] : null;
+
+    if (existing && doc._rev && existing._rev !== doc._rev) {
+      throw new OfflineStackError(409, `Conflict on ${doctype}/${doc._id}: revision ${doc._rev} is not the last one`);
+    }
+
+    const saved = {
+      ...doc,
+      _id: doc._id || generateId(),
+      _rev: nextRevision(existing?._rev),
+      _type: doctype,
+      cozyMetadata: existing
+        ? {
+            ...existing.cozyMetadata,
+            ...doc.cozyMetadata,
+            updatedAt: now,
+            updatedByApps: [{ slug: this.appMetadata.slug, date: now }]
+          }
+        : {
+            metadataVersion: 1,
+            createdAt: now,
+            createdByApp: this.appMetadata.slug,
+            updatedAt: now,
+            updatedByApps: [{ slug: this.appMetadata.slug, date: now }],
+            ...(this.appMetadata.sourceAccount ? { sourceAccount: this.appMetadata.sourceAccount } : {}),
+            ...doc.cozyMetadata
+          }
+    };
+
+    this.documents[doctype] = this.documents[doctype] || {};
+    this.documents[doctype][saved._id] = saved;
+    this.persist(doctype);
+    log('💾 %s %s/%s', existing ? 'Updated' : 'Created', doctype, saved._id);
+    return saved;
+  }
+
+  /**
+   * Load stored documents from disk and create the root directory
+   * @private
+   */
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const fileName of fs.readdirSync(this.dir)) {
+      if (fileName.endsWith('.json')) {
+        this.documents[fileName.slice(0, -'.json'.length)] = JSON.parse(fs.readFileSync(path.join(this.dir, fileName), 'utf-8'));
+      }
+    }
+
+    if (!this.documents[FILES_DOCTYPE]?.[ROOT_DIR_ID]) {
+      this.documents[FILES_DOCTYPE] = this.documents[FILES_DOCTYPE] || {};
+      this.documents[FILES_DOCTYPE][ROOT_DIR_ID] = {
+        _id: ROOT_DIR_ID,
+        _rev: nextRevision(),
+        _type: FILES_DOCTYPE,
+        type: 'directory',
+        name: '',
+        path: '/',
+        trashed: false,
+        referenced_by: []
+      };
+      this.persist(FILES_DOCTYPE);
+    }
+    log('📂 Offline stack loaded from %s', this.dir);
+  }
+
+  /**
+   * Write the documents of a doctype on disk. Synchronous to keep the file consistent with concurrent saves
+   * @private
+   */
+  persist(doctype) {
+    fs.writeFileSync(path.join(this.dir, `${doctype}.json`), JSON.stringify(this.documents[doctype] || {}, null, 2), 'utf-8');
+  }
+
+  /**
+   * Path on disk of the content of a file
+   * @private
+   */
+  getContentPath(cozyPath) {
+    return path.join(this.dir, 'files', ...cozyPath.split('/').filter(Boolean));
+  }
+}
+
+/**
+ * Basic collection for any doctype
+ */
+class OfflineDocumentCollection {
+  constructor(client, doctype) {
+    this.client = client;
+    this.doctype = doctype;
+  }
+
+  async get(id) {
+    return { data: this.client.getDocument(this.doctype, id) };
+  }
+
+  async all() {
+    const data = Object.values(this.client.documents[this.doctype] || {});
+    return { data, next: false, meta: { count: data.length } };
+  }
+
+  async create(document) {
+    return { data: this.client.putDocument(this.doctype, document) };
+  }
+
+  async update(document) {
+    return { data: this.client.putDocument(this.doctype, document) };
+  }
+
+  async destroy(document) {
+    return await this.client.destroy({ ...document, _type: this.doctype });
+  }
+}
+
+/**
+ * io.cozy.files collection, with directories, files contents and references
+ */
+class OfflineFileCollection extends OfflineDocumentCollection {
+  constructor(client) {
+    super(client, FILES_DOCTYPE);
+  }
+
+  async statById(id) {
+    return { data: this.client.getDocument(FILES_DOCTYPE, id) };
+  }
+
+  async statByPath(cozyPath) {
+    const normalizedPath = normalizePath(cozyPath);
+    const doc = this.findByPath(normalizedPath);
+    if (!doc) {
+      throw new OfflineStackError(404, `File ${normalizedPath} not found`);
+    }
+    return { data: doc };
+  }
+
+  /**
+   * Create a directory and its missing parents
+   * @param {string} cozyPath
+   * @returns {Promise<{data: Object}>} the directory
+   */
+  async createDirectoryByPath(cozyPath) {
+    const parts = normalizePath(cozyPath).split('/').filter(Boolean);
+    let parent = this.client.getDocument(FILES_DOCTYPE, ROOT_DIR_ID);
+
+    for (const name of parts) {
+      const dirPath = parent.path === '/' ? `/${name}` : `${parent.path}/${name}`;
+      const existing = this.findByPath(dirPath);
+      if (existing && existing.type !== 'directory') {
+        throw new OfflineStackError(409, `A file already exists at ${dirPath}`);
+      }
+      parent =
+        existing ||
+        this.client.putDocument(FILES_DOCTYPE, {
+          type: 'directory',
+          name,
+          dir_id: parent._id,
+          path: dirPath,
+          trashed: false,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          referenced_by: []
+        });
+    }
+
+    return { data: parent };
+  }
+
+  async createDirectory({ name, dirId = ROOT_DIR_ID }) {
+    const parent = this.client.getDocument(FILES_DOCTYPE, dirId);
+    const dirPath = parent.path === '/' ? `/${name}` : `${parent.path}/${name}`;
+    if (this.findByPath(dirPath)) {
+      throw new OfflineStackError(409, `Directory ${dirPath} already exists`);
+    }
+    return await this.createDirectoryByPath(dirPath);
+  }
+
+  /**
+   * @returns {Promise<string>} id of the directory
+   */
+  async ensureDirectoryExists(cozyPath) {
+    const { data } = await this.createDirectoryByPath(cozyPath);
+    return data._id;
+  }
+
+  async addReferencesTo(document, files) {
+    for (const file of files) {
+      const stored = this.client.getDocument(FILES_DOCTYPE, file._id);
+      const references = stored.referenced_by || [];
+      if (!references.some(ref => ref.type === document._type && ref.id === document._id)) {
+        this.client.putDocument(FILES_DOCTYPE, { ...stored, referenced_by: [...references, { type: document._type, id: document._id }] });
+      }
+    }
+  }
+
+  async removeReferencesTo(document, files) {
+    for (const file of files) {
+      const stored = this.client.getDocument(FILES_DOCTYPE, file._id);
+      const references = (stored.referenced_by || []).filter(ref => !(ref.type === document._type && ref.id === document._id));
+      this.client.putDocument(FILES_DOCTYPE, { ...stored, referenced_by: references });
+    }
+  }
+
+  async deleteFilePermanently(id) {
+    const doc = this.client.getDocument(FILES_DOCTYPE, id);
+    if (doc.type === 'file') {
+      fs.rmSync(this.client.getContentPath(doc.path), { force: true });
+    }
+    delete this.client.documents[FILES_DOCTYPE][id];
+    this.client.persist(FILES_DOCTYPE);
+    log('🗑️ Deleted %s', doc.path);
+    return { data: doc };
+  }
+
+  /**
+   * Create or replace a file and its content, like client.save({ _type: 'io.cozy.files', type: 'file', data })
+   * @param {Object} document - File attributes with data, name, dirId and optionally _id, _rev, contentType,
+   * metadata, sourceAccount and sourceAccountIdentifier
+   * @returns {Object} the file document
+   */
+  writeFile(document) {
+    const { data, name, dirId, contentType, sourceAccount, sourceAccountIdentifier, _id, _rev, _type, type, ...attributes } = document;
+    const existing = _id ? this.client.getDocument(FILES_DOCTYPE, _id) : null;
+    const fileName = name || existing?.name;
+    const parentId = dirId || existing?.dir_id || ROOT_DIR_ID;
+    const parent = this.client.getDocument(FILES_DOCTYPE, parentId);
+    const filePath = parent.path === '/' ? `/${fileName}` : `${parent.path}/${fileName}`;
+
+    const sameName = this.findByPath(filePath);
+    if (sameName && sameName._id !== _id) {
+      throw new OfflineStackError(409, `File ${filePath} already exists`);
+    }
+
+    const content = toBuffer(data);
+    const [mime, fileClass] = contentType ? [contentType, contentType.split('/')[0]] : MIME_TYPES[path.extname(fileName).toLowerCase()] || ['application/octet-stream', 'files'];
+    const now = new Date().toISOString();
+
+    if (existing && existing.path !== filePath) {
+      fs.rmSync(this.client.getContentPath(existing.path), { force: true });
+    }
+    const contentPath = this.client.getContentPath(filePath);
+    fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+    fs.writeFileSync(contentPath, content);
+
+    const saved = this.client.putDocument(FILES_DOCTYPE, {
+      ...existing,
+      ...attributes,
+      _id,
+      _rev,
+      type: 'file',
+      name: fileName,
+      dir_id: parentId,
+      path: filePath,
+      trashed: false,
+      size: String(content.length),
+      md5sum: crypto.createHash('md5').update(content).digest('base64'),
+      mime,
+      class: fileClass,
+      created_at: existing?.created_at || now,
+      updated_at: now,
+      referenced_by: existing?.referenced_by || [],
+      cozyMetadata: {
+        ...existing?.cozyMetadata,
+        ...(sourceAccount ? { sourceAccount } : {}),
+        ...(sourceAccountIdentifier ? { sourceAccountIdentifier } : {}),
+        uploadedAt: now,
+        uploadedBy: { slug: this.client.appMetadata.slug }
+      }
+    });
+    log('📄 File %s written (%d bytes)', filePath, content.length);
+    return saved;
+  }
+
+  /**
+   * @private
+   */
+  findByPath(cozyPath) {
+    return Object.values(this.client.documents[FILES_DOCTYPE] || {}).find(doc => !doc.trashed && (doc.type === 'directory' ? doc.path === cozyPath : this.getFilePath(doc) === cozyPath)) || null;
+  }
+
+  /**
+   * @private
+   */
+  getFilePath(doc) {
+    return doc.path || `${this.client.documents[FILES_DOCTYPE][doc.dir_id]?.path}/${doc.name}`;
+  }
+}
+
+function normalizePath(cozyPath) {
+  return '/' + cozyPath.split('/').filter(Boolean).join('/');
+}
+
+function generateId() {
+  return crypto.randomUUID().replace(/-/g, '');
+}
+
+function nextRevision(rev) {
+  const generation = rev ? parseInt(rev.split('-')[0], 10) + 1 : 1;
+  return `${generation}-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (typeof data === 'string') {
+    return Buffer.from(data, 'utf-8');
+  }
+  throw new Error('OfflineClient: unsupported file content, expected a Buffer, an ArrayBuffer or a string');
+}
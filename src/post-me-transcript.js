@@ -0,0 +1,267 @@
+/**
+ * Post-me Transcript Module
+ * Records the post-me messages exchanged between the launcher and the pages in a JSONL file,
+ * and replays the recorded worker responses without the website
+ */
+
+import fs from 'fs';
+import path from 'path';
+import debug from 'debug';
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+export const TRANSCRIPTS_DIR = path.join(__dirname, '../data/transcripts');
+
+const TRANSCRIPT_VERSION = 1;
+
+const log = debug('clisk:transcript');
+
+/**
+ * Write every post-me message seen by CliskPage instances, one JSON object per line
+ * Lines are appended synchronously so that the transcript is complete even when the run crashes
+ */
+export class PostMeRecorder {
+  /**
+   * @param {string} filePath - JSONL file to write
+   * @param {Object} metadata - Additional attributes of the header line (connector slug, scenario...)
+   */
+  constructor(filePath, metadata = {}) {
+    this.filePath = filePath;
+    this.startTime = Date.now();
+    this.listeners = new Map();
+    this.messageCount = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ type: 'header', version: TRANSCRIPT_VERSION, startedAt: new Date(this.startTime).toISOString(), ...metadata }) + '\n');
+  }
+
+  /**
+   * Record messages of a page
+   * @param {CliskPage} cliskPage - Page emitting post-me:message events
+   */
+  attach(cliskPage) {
+    const listener = ({ pageName, direction, message, timestamp }) => {
+      this.write({ type: 'message', timestamp: new Date(timestamp).toISOString(), elapsed: timestamp - this.startTime, page: pageName, direction, message });
+    };
+    cliskPage.on('post-me:message', listener);
+    this.listeners.set(cliskPage, listener);
+  }
+
+  /**
+   * Append a line to the transcript
+   * @param {Object} entry - JSON serializable entry
+   * @private
+   */
+  write(entry) {
+    if (!this.filePath) {
+      return;
+    }
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+      this.messageCount++;
+    } catch (error) {
+      log('⚠️ Could not write transcript entry: %s', error.message);
+    }
+  }
+
+  /**
+   * Stop recording
+   */
+  close() {
+    for (const [cliskPage, listener] of this.listeners) {
+      cliskPage.removeListener('post-me:message', listener);
+    }
+    this.listeners.clear();
+    log('💾 %d post-me messages recorded in %s', this.messageCount, this.filePath);
+    this.filePath = null;
+  }
+}
+
+/**
+ * Get the default transcript path of a connector
+ * @param {string} slug - Connector slug
+ * @param {Date} date - Date of the execution
+ * @returns {string} path in data/transcripts
+ */
+export function getDefaultTranscriptPath(slug, date = new Date()) {
+  return path.join(TRANSCRIPTS_DIR, `${slug}-${date.toISOString().replace(/[:.]/g, '-')}.jsonl`);
+}
+
+/**
+ * Read a transcript written by PostMeRecorder
+ * @param {string} filePath - JSONL file
+ * @returns {{ header: Object, entries: Array<Object> }} header line and message entries
+ */
+export function readTranscript(filePath) {
+  const lines = fs
+    .readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim());
+
+  const records = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid transcript ${filePath} at line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  const header = records.find(record => record.type === 'header');
+  if (!header) {
+    throw new Error(`Invalid transcript ${filePath}: missing header line`);
+  }
+  if (header.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version ${header.version} in ${filePath}`);
+  }
+
+  return { header, entries: records.filter(record => record.type === 'message') };
+}
+
+/**
+ * Connection answering calls with the responses of a recorded page, with the same shape as a post-me Connection
+ * Calls are matched by method name in the recorded order. Events and calls made by the recorded page
+ * before a response are replayed before the response is given
+ */
+export class ReplayConnection {
+  /**
+   * @param {Array<Object>} entries - Transcript entries of the replayed page
+   * @param {Object} localMethods - Launcher methods called by the recorded page (sendToPilot...)
+   */
+  constructor(entries, localMethods = {}) {
+    this.entries = entries;
+    this.localMethods = localMethods;
+    this.consumed = new Set();
+    this.eventCursor = 0;
+    this.eventListeners = new Map();
+    this.queue = Promise.resolve();
+
+    // Responses received by the launcher, indexed by session and request
+    this.responses = new Map();
+    entries.forEach((entry, index) => {
+      if (entry.direction === 'received' && entry.message.action === 'response') {
+        this.responses.set(`${entry.message.sessionId}:${entry.message.requestId}`, index);
+      }
+    });
+
+    this.remote = {
+      call: (methodName, ...args) => this.enqueue(() => this.replayCall(methodName, args)),
+      addEventListener: (eventName, callback) => {
+        if (!this.eventListeners.has(eventName)) {
+          this.eventListeners.set(eventName, new Set());
+        }
+        this.eventListeners.get(eventName).add(callback);
+      },
+      removeEventListener: (eventName, callback) => {
+        this.eventListeners.get(eventName)?.delete(callback);
+      }
+    };
+
+    this.local = {
+      emit: eventName => log('⏭️ Event %s not sent to the replayed page', eventName),
+      setMethods: methods => {
+        this.localMethods = methods;
+      }
+    };
+  }
+
+  remoteHandle() {
+    return this.remote;
+  }
+
+  localHandle() {
+    return this.local;
+  }
+
+  close() {
+    this.eventListeners.clear();
+  }
+
+  /**
+   * Get recorded calls which were not replayed
+   * @returns {Array<string>} method names
+   */
+  getRemainingCalls() {
+    return this.entries.filter((entry, index) => !this.consumed.has(index) && isCall(entry, 'sent')).map(entry => entry.message.methodName);
+  }
+
+  /**
+   * Replay calls one at a time, like the recorded page answered them
+   * @private
+   */
+  enqueue(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async replayCall(methodName, args) {
+    const callIndex = this.entries.findIndex((entry, index) => !this.consumed.has(index) && isCall(entry, 'sent') && entry.message.methodName === methodName);
+    if (callIndex === -1) {
+      throw new Error(`REPLAY_DIVERGED: no recorded call to ${methodName} left in the transcript`);
+    }
+    this.consumed.add(callIndex);
+
+    const { sessionId, requestId, args: recordedArgs } = this.entries[callIndex].message;
+    if (JSON.stringify(recordedArgs) !== JSON.stringify(args)) {
+      log('⚠️ %s called with other arguments than in the recorded run: %O (recorded: %O)', methodName, args, recordedArgs);
+    }
+
+    const responseIndex = this.responses.get(`${sessionId}:${requestId}`);
+    if (responseIndex === undefined) {
+      throw new Error(`REPLAY_DIVERGED: ${methodName} was never answered in the recorded run`);
+    }
+
+    await this.replayPageMessages(responseIndex);
+    this.consumed.add(responseIndex);
+
+    const { result, error } = this.entries[responseIndex].message;
+    log('🔁 Replayed %s', methodName);
+    if (error !== undefined) {
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Replay events and calls made by the recorded page up to an entry
+   * @param {number} untilIndex - Index of the last entry to consider
+   * @private
+   */
+  async replayPageMessages(untilIndex) {
+    for (let index = this.eventCursor; index <= untilIndex; index++) {
+      const entry = this.entries[index];
+      if (this.consumed.has(index) || entry.direction !== 'received') {
+        continue;
+      }
+
+      const { action, eventName, payload, methodName, args } = entry.message;
+      if (action === 'event') {
+        this.consumed.add(index);
+        log('🔁 Replaying event %s', eventName);
+        for (const callback of this.eventListeners.get(eventName) || []) {
+          callback(payload);
+        }
+      } else if (action === 'call') {
+        this.consumed.add(index);
+        const method = this.localMethods[methodName];
+        if (!method) {
+          log('⚠️ No launcher method %s to replay', methodName);
+          continue;
+        }
+        log('🔁 Replaying call to launcher method %s', methodName);
+        try {
+          await method(...(args || []));
+        } catch (error) {
+          log('⚠️ Replayed call to %s failed: %s', methodName, error.message);
+        }
+      }
+    }
+    this.eventCursor = Math.max(this.eventCursor, untilIndex + 1);
+  }
+}
+
+function isCall(entry, direction) {
+  return entry.direction === direction && entry.message.action === 'call';
+}
@@ -0,0 +1,104 @@
+/**
+ * Run Connector Module
+ * Programmatic API running a connector with PlaywrightLauncher and returning what it did,
+ * so that test suites can assert on a connector behaviour
+ */
+
+import { getLogger } from './log-config.js';
+import PlaywrightLauncher from './PlaywrightLauncher.js';
+import { resolveScenario } from './scenarios.js';
+import { createCallCollector, toErrorInfo } from './run-report.js';
+
+const log = getLogger('clisk:run-connector');
+
+const DEFAULT_BROWSER = {
+  headless: true,
+  devtools: false,
+  args: ['--no-sandbox', '--disable-web-security']
+};
+
+/**
+ * Run a connector scenario and collect calls, saved documents, saved files, errors and timings
+ * The returned promise only rejects on invalid options: connector errors are given in the result
+ * @param {Object} options
+ * @param {string} options.connectorPath - Path to the connector directory, relative to the runner root
+ * @param {string|Array<string>} options.scenario - Scenario name or list of lifecycle steps (see scenarios.js)
+ * @param {Object} options.client - Launcher client, like an OfflineClient. The offline stack is used by default
+ * @param {Object} options.browser - Browser launch options (headless, devtools, args), headless by default
+ * @param {number} options.timeout - Maximum duration of the lifecycle steps in ms, no limit by default
+ * @param {Object} options.launcherOptions - Other PlaywrightLauncher.init options (profile, mobile, simulation, record, replay...)
+ * @returns {Promise<Object>} run result
+ */
+export async function runConnector({ connectorPath = 'examples/evaluate-konnector', scenario = 'default', client, browser = {}, timeout, ...launcherOptions } = {}) {
+  const steps = resolveScenario(scenario);
+  const startTime = Date.now();
+  const result = {
+    success: false,
+    error: null,
+    connector: null,
+    scenario: steps,
+    steps: [],
+    calls: [],
+    documents: [],
+    files: [],
+    errors: [],
+    timings: { startedAt: new Date(startTime).toISOString(), init: null, run: null, total: null }
+  };
+
+  const launcher = new PlaywrightLauncher();
+  const callCollector = createCallCollector(call => result.calls.push(call));
+  let runStartTime = null;
+  let timeoutId = null;
+
+  try {
+    log('🚀 Running %s with steps: %s', connectorPath, steps.join(' → '));
+    await launcher.init(connectorPath, {
+      destinationFolder: '/cliskDevRunner',
+      offline: !client && !launcherOptions.targetedInstance,
+      report: false,
+      snapshots: false,
+      ...launcherOptions,
+      client,
+      browser: { ...DEFAULT_BROWSER, ...browser }
+    });
+    result.timings.init = Date.now() - startTime;
+
+    const konnector = launcher.getPilotService().konnector;
+    result.connector = { slug: konnector.slug, name: konnector.name, version: konnector.version };
+
+    launcher.getPilotPage().on('post-me:message', callCollector);
+    launcher.getWorkerPage().on('post-me:message', callCollector);
+    launcher.getPilotService().on('documents:saved', ({ method, doctype, documents }) => {
+      result.documents.push(...documents.map(document => ({ method, doctype, document })));
+    });
+    launcher.getPilotService().on('files:saved', ({ method, files }) => {
+      result.files.push(...files.map(file => ({ method, file })));
+    });
+    launcher.getWorkerService().on('reconnection:error', ({ error, newUrl }) => {
+      result.errors.push({ source: 'reconnection', message: error, url: newUrl });
+    });
+
+    runStartTime = Date.now();
+    // A connector waiting for a user interaction never answers, the browser is closed by launcher.stop() below
+    const timeoutPromise = new Promise((resolve, reject) => {
+      if (timeout) {
+        timeoutId = setTimeout(() => reject(new Error(`Connector run timed out after ${timeout}ms`)), timeout);
+      }
+    });
+    await Promise.race([launcher.start({ scenario: steps }), timeoutPromise]);
+    result.success = true;
+  } catch (error) {
+    log('❌ Connector run failed: %O', error);
+    result.error = toErrorInfo(error);
+    result.errors.push({ source: runStartTime ? 'step' : 'init', ...result.error });
+  } finally {
+    clearTimeout(timeoutId);
+    result.steps = launcher.getStepResults().map(({ error, ...stepResult }) => (error ? { ...stepResult, error: toErrorInfo(error) } : stepResult));
+    result.timings.run = runStartTime ? Date.now() - runStartTime : null;
+    await launcher.stop();
+    result.timings.total = Date.now() - startTime;
+  }
+
+  log('%s Run of %s finished in %dms', result.success ? '✅' : '❌', connectorPath, result.timings.total);
+  return result;
+}
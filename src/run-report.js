@@ -0,0 +1,370 @@
+/**
+ * Run Report Module
+ * Collects what happened during an execution and writes it as JSON and as a self-contained HTML page
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+export const RUNS_DIR = path.join(__dirname, '../runs');
+
+const log = debug('clisk:run-report');
+
+/**
+ * Collect steps, runInWorker calls, worker navigations, reconnections and saved data of an execution
+ */
+export class RunReportCollector {
+  /**
+   * @param {number} startTime - Start of the execution, also used to name its runs/ directory
+   */
+  constructor(startTime = Date.now()) {
+    this.reset(startTime);
+  }
+
+  /**
+   * Forget what was collected, for the next execution in the same browser (watch mode and REPL reruns)
+   * @param {number} startTime - Start of the next execution
+   */
+  reset(startTime = Date.now()) {
+    this.startTime = startTime;
+    this.runInWorkerCalls = [];
+    this.navigations = [];
+    this.reconnections = { started: 0, succeeded: 0, failed: 0, superseded: 0, errors: [] };
+    this.files = [];
+    this.identities = [];
+    this.documentCounts = {};
+    this.snapshots = [];
+  }
+
+  /**
+   * Add page snapshots taken on failure, see CliskPage.captureSnapshot
+   * @param {Array<Object>} snapshots
+   */
+  addSnapshots(snapshots) {
+    this.snapshots.push(...snapshots);
+  }
+
+  /**
+   * Listen to the pages and services of a launcher
+   * @param {Object} options
+   * @param {CliskPage} options.pilotPage - Pilot page, emitting post-me:message events
+   * @param {PilotService} options.pilotService - Emitting documents:saved and files:saved events
+   * @param {WorkerService} options.workerService - Emitting url-change and reconnection events
+   */
+  attach({ pilotPage, pilotService, workerService }) {
+    pilotPage.on(
+      'post-me:message',
+      createCallCollector(call => {
+        if (call.caller === 'connector' && call.method === 'runInWorker') {
+          this.runInWorkerCalls.push(call);
+        }
+      })
+    );
+
+    pilotService.on('documents:saved', ({ doctype, documents }) => {
+      this.documentCounts[doctype] = (this.documentCounts[doctype] || 0) + documents.length;
+      if (doctype === 'io.cozy.identities') {
+        this.identities.push(...documents);
+      }
+    });
+    pilotService.on('files:saved', ({ method, files }) => {
+      this.files.push(...files.map(file => ({ method, name: file.name, path: file.path, size: file.size !== undefined ? Number(file.size) : undefined, id: file._id })));
+    });
+
+    workerService.on('url-change', ({ oldUrl, newUrl, timestamp }) => {
+      this.navigations.push({ from: oldUrl, to: newUrl, timestamp: new Date(timestamp).toISOString() });
+    });
+    workerService.on('reconnection:start', () => this.reconnections.started++);
+    workerService.on('reconnection:success', () => this.reconnections.succeeded++);
+    workerService.on('reconnection:superseded', () => this.reconnections.superseded++);
+    workerService.on('reconnection:error', ({ error, newUrl }) => {
+      this.reconnections.failed++;
+      this.reconnections.errors.push({ url: newUrl, message: error });
+    });
+  }
+
+  /**
+   * Build the report of the execution
+   * @param {Object} options
+   * @param {Object} options.konnector - Connector manifest
+   * @param {Array<string>} options.scenario - Lifecycle steps of the execution
+   * @param {Array<Object>} options.steps - PlaywrightLauncher step results
+   * @param {Error|null} options.error - Error which stopped the execution
+   * @returns {Object} JSON serializable report
+   */
+  build({ konnector, scenario, steps = [], error = null }) {
+    const finishTime = Date.now();
+    return {
+      connector: konnector ? { slug: konnector.slug, name: konnector.name, version: konnector.version } : null,
+      scenario,
+      success: !error,
+      error: error ? toErrorInfo(error) : null,
+      startedAt: new Date(this.startTime).toISOString(),
+      finishedAt: new Date(finishTime).toISOString(),
+      duration: finishTime - this.startTime,
+      steps: steps.map(({ step, startedAt, duration, error: stepError }) => ({
+        step,
+        startedAt: new Date(startedAt).toISOString(),
+        duration,
+        error: stepError ? toErrorInfo(stepError) : undefined
+      })),
+      runInWorker: this.runInWorkerCalls.map(({ args, startedAt, duration, result, error: callError }) => ({
+        method: args?.[0],
+        startedAt: new Date(startedAt).toISOString(),
+        duration,
+        resultSize: result === undefined ? 0 : Buffer.byteLength(JSON.stringify(result)),
+        error: callError
+      })),
+      navigations: this.navigations,
+      reconnections: this.reconnections,
+      files: this.files,
+      identities: this.identities,
+      documentCounts: this.documentCounts,
+      snapshots: this.snapshots
+    };
+  }
+}
+
+/**
+ * Write a report as report.json and report.html
+ * Snapshot screenshots found in the directory are embedded in the HTML page
+ * @param {Object} report - Report built by RunReportCollector
+ * @param {string} runDir - Directory of the execution, runs/<slug>-<date> by default
+ * @returns {Promise<{ dir: string, jsonPath: string, htmlPath: string }>}
+ */
+export async function writeRunReport(report, runDir = getRunDir(report.connector?.slug, report.startedAt)) {
+  await fs.mkdir(runDir, { recursive: true });
+
+  const screenshots = {};
+  for (const snapshot of report.snapshots || []) {
+    if (snapshot.files?.screenshot) {
+      try {
+        screenshots[snapshot.page] = 'data:image/png;base64,' + (await fs.readFile(path.join(runDir, snapshot.files.screenshot))).toString('base64');
+      } catch (error) {
+        log('⚠️ Could not embed screenshot of %s: %s', snapshot.page, error.message);
+      }
+    }
+  }
+
+  const jsonPath = path.join(runDir, 'report.json');
+  const htmlPath = path.join(runDir, 'report.html');
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(htmlPath, renderRunReportHtml(report, { screenshots }));
+  log('📊 Run report written in %s', runDir);
+
+  return { dir: runDir, jsonPath, htmlPath };
+}
+
+/**
+ * Directory of an execution, like runs/template-2024-06-15T12-00-00-000Z
+ * @param {string} slug - Connector slug
+ * @param {number|string} startedAt - Start of the execution
+ * @param {string} dir - Parent directory
+ * @returns {string}
+ */
+export function getRunDir(slug, startedAt, dir = RUNS_DIR) {
+  return path.join(dir, `${slug || 'unknown'}-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}`);
+}
+
+/**
+ * Render a report as an HTML page without external resources, to be attached to tickets
+ * @param {Object} report - Report built by RunReportCollector
+ * @param {Object} options
+ * @param {Object} options.screenshots - Data URIs of the snapshot screenshots, by page name
+ * @returns {string} HTML
+ */
+export function renderRunReportHtml(report, { screenshots = {} } = {}) {
+  const maxStepDuration = Math.max(1, ...report.steps.map(step => step.duration || 0));
+  const title = `${report.connector?.name || 'Unknown connector'} ${report.connector?.version || ''}`.trim();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - ${report.success ? 'success' : 'failure'}</title>
+<style>
+  body { font: 14px/1.4 sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .status { display: inline-block; padding: 2px 8px; border-radius: 4px; color: #fff; }
+  .success { background: #2e7d32; } .failure { background: #c62828; }
+  .bar { height: 10px; background: #1976d2; min-width: 1px; }
+  .error { color: #c62828; }
+  pre { background: #f4f4f4; padding: 8px; overflow: auto; }
+  .empty { color: #888; }
+  .screenshot { max-width: 100%; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} <span class="status ${report.success ? 'success' : 'failure'}">${report.success ? 'success' : 'failure'}</span></h1>
+<p>Scenario: ${escapeHtml((report.scenario || []).join(' → '))}<br>
+Started at ${escapeHtml(report.startedAt)}, duration ${formatDuration(report.duration)}</p>
+${report.error ? `<p class="error">${escapeHtml(report.error.name)}: ${escapeHtml(report.error.message)}</p>` : ''}
+
+<h2>Lifecycle steps</h2>
+${renderTable(
+  ['Step', 'Duration', '', 'Error'],
+  report.steps.map(step => [
+    escapeHtml(step.step),
+    formatDuration(step.duration),
+    `<div class="bar" style="width: ${Math.round(((step.duration || 0) / maxStepDuration) * 100)}%"></div>`,
+    step.error ? `<span class="error">${escapeHtml(step.error.message)}</span>` : ''
+  ])
+)}
+
+<h2>runInWorker calls (${report.runInWorker.length})</h2>
+${renderTable(
+  ['Method', 'Started at', 'Duration', 'Result size', 'Error'],
+  report.runInWorker.map(call => [
+    escapeHtml(call.method),
+    escapeHtml(call.startedAt),
+    formatDuration(call.duration),
+    `${call.resultSize} B`,
+    call.error ? `<span class="error">${escapeHtml(call.error.message)}</span>` : ''
+  ])
+)}
+
+<h2>Worker navigations (${report.navigations.length})</h2>
+${renderTable(
+  ['Time', 'From', 'To'],
+  report.navigations.map(navigation => [escapeHtml(navigation.timestamp), escapeHtml(navigation.from), escapeHtml(navigation.to)])
+)}
+
+<h2>Worker reconnections</h2>
+<p>${report.reconnections.started} started, ${report.reconnections.succeeded} succeeded, ${report.reconnections.failed} failed, ${report.reconnections.superseded ?? 0} superseded by a newer navigation</p>
+${
+  report.reconnections.errors.length > 0
+    ? renderTable(
+        ['URL', 'Error'],
+        report.reconnections.errors.map(error => [escapeHtml(error.url), `<span class="error">${escapeHtml(error.message)}</span>`])
+      )
+    : ''
+}
+
+<h2>Saved files (${report.files.length})</h2>
+${renderTable(
+  ['Name', 'Size', 'Method', 'Path or id'],
+  report.files.map(file => [escapeHtml(file.name), file.size !== undefined ? `${file.size} B` : '', escapeHtml(file.method), escapeHtml(file.path || file.id)])
+)}
+
+<h2>Saved identities (${report.identities.length})</h2>
+${report.identities.length > 0 ? `<pre>${escapeHtml(JSON.stringify(report.identities, null, 2))}</pre>` : '<p class="empty">None</p>'}
+
+<h2>Saved documents</h2>
+${renderTable(
+  ['Doctype', 'Count'],
+  Object.entries(report.documentCounts).map(([doctype, count]) => [escapeHtml(doctype), String(count)])
+)}
+
+${renderSnapshots(report.snapshots || [], screenshots)}
+
+<details>
+<summary>Raw report</summary>
+<pre>${escapeHtml(JSON.stringify(report, null, 2))}</pre>
+</details>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create a post-me:message listener pairing calls with their responses
+ * Calls sent by the launcher have caller 'launcher', calls made by the connector have caller 'connector'
+ * @param {Function} onCall - Called with each call object, which is completed when its response arrives
+ * @returns {Function} listener
+ */
+export function createCallCollector(onCall) {
+  const pendingCalls = new Map();
+
+  return ({ pageName, direction, message, timestamp }) => {
+    const { action, sessionId, requestId } = message || {};
+    // Each side numbers its own requests, so the key includes who made the call
+    if (action === 'call') {
+      const call = {
+        page: pageName,
+        caller: direction === 'sent' ? 'launcher' : 'connector',
+        method: message.methodName,
+        args: message.args,
+        startedAt: timestamp,
+        duration: null
+      };
+      pendingCalls.set(`${direction}:${sessionId}:${requestId}`, call);
+      onCall(call);
+    } else if (action === 'response') {
+      const callDirection = direction === 'sent' ? 'received' : 'sent';
+      const key = `${callDirection}:${sessionId}:${requestId}`;
+      const call = pendingCalls.get(key);
+      if (!call) {
+        return;
+      }
+      pendingCalls.delete(key);
+      call.duration = timestamp - call.startedAt;
+      if (message.error !== undefined) {
+        call.error = toErrorInfo(message.error);
+      } else {
+        call.result = message.result;
+      }
+    }
+  };
+}
+
+/**
+ * Serializable description of an error, errors coming from post-me are plain objects
+ * @param {Error|Object|string} error
+ * @returns {{ name: string, message: string }}
+ */
+export function toErrorInfo(error) {
+  if (typeof error === 'string') {
+    return { name: 'Error', message: error };
+  }
+  return { name: error?.name || 'Error', message: error?.message || String(error) };
+}
+
+function renderSnapshots(snapshots, screenshots) {
+  if (snapshots.length === 0) {
+    return '';
+  }
+  return `<h2>Page snapshots on failure</h2>\n${snapshots.map(snapshot => renderSnapshot(snapshot, screenshots[snapshot.page])).join('\n')}`;
+}
+
+function renderSnapshot(snapshot, screenshot) {
+  const files = Object.values(snapshot.files || {})
+    .map(escapeHtml)
+    .join(', ');
+  const errors = (snapshot.errors || []).map(error => `<p class="error">${escapeHtml(error)}</p>`).join('\n');
+  const image = screenshot ? `<img alt="${escapeHtml(snapshot.page)} screenshot" class="screenshot" src="${screenshot}">` : '';
+  return `<h3>${escapeHtml(snapshot.page)}: ${escapeHtml(snapshot.url)}</h3>
+<p>Title: ${escapeHtml(snapshot.title)}<br>Files: ${files}</p>
+${errors}
+${image}`;
+}
+
+function renderTable(headers, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  return `<table>
+<tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}
+</table>`;
+}
+
+function formatDuration(duration) {
+  if (duration === null || duration === undefined) {
+    return '';
+  }
+  return duration < 1000 ? `${duration} ms` : `${(duration / 1000).toFixed(1)} s`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,41 @@
+/**
+ * Scenarios Module
+ * Sequences of ContentScript lifecycle methods run by PlaywrightLauncher.start()
+ */
+
+// Lifecycle methods which can be used in a scenario
+export const SCENARIO_STEPS = ['ensureAuthenticated', 'ensureNotAuthenticated', 'getUserDataFromWebsite', 'fetch'];
+
+export const SCENARIOS = {
+  // Same sequence as the React Native launcher
+  default: ['ensureAuthenticated', 'getUserDataFromWebsite', 'fetch'],
+  // Logout first, then a normal execution
+  logout: ['ensureNotAuthenticated', 'ensureAuthenticated', 'getUserDataFromWebsite', 'fetch'],
+  // Fetch twice in the same session to check that saveFiles does not save files again
+  'fetch-twice': ['ensureAuthenticated', 'getUserDataFromWebsite', 'fetch', 'fetch'],
+  // Authentication only
+  'auth-only': ['ensureAuthenticated', 'getUserDataFromWebsite']
+};
+
+/**
+ * Get the steps of a scenario
+ * @param {string|Array<string>} scenario - Scenario name, or comma separated list of steps
+ * @param {Object} options
+ * @param {boolean} options.hasUserData - The sourceAccountIdentifier is already known from a previous run, so fetch can run alone
+ * @returns {Array<string>} steps
+ */
+export function resolveScenario(scenario = 'default', { hasUserData = false } = {}) {
+  const steps = Array.isArray(scenario) ? scenario : SCENARIOS[scenario] || scenario.split(',').map(step => step.trim());
+
+  const unknownSteps = steps.filter(step => !SCENARIO_STEPS.includes(step));
+  if (unknownSteps.length > 0) {
+    throw new Error(`Unknown scenario or steps: ${unknownSteps.join(', ')}. Available scenarios: ${Object.keys(SCENARIOS).join(', ')}. Available steps: ${SCENARIO_STEPS.join(', ')}`);
+  }
+
+  const fetchIndex = steps.indexOf('fetch');
+  if (fetchIndex !== -1 && !hasUserData && !steps.slice(0, fetchIndex).includes('getUserDataFromWebsite')) {
+    throw new Error('Scenario steps must call getUserDataFromWebsite before fetch, the sourceAccountIdentifier is needed to save data');
+  }
+
+  return steps;
+}
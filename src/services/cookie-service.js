@@ -0,0 +1,95 @@
+import debug from 'debug';
+
+/**
+ * CookieService - Gives access to the cookies of the browser context
+ * Returns cookies in the same shape as the React Native launcher (@react-native-cookies/cookies)
+ */
+export class CookieService {
+  /**
+   * @param {Object} context - Browser context from Playwright, shared by pilot and worker pages
+   */
+  constructor(context) {
+    this.context = context;
+    this.log = debug('clisk:cookie-service');
+  }
+
+  /**
+   * Get cookie-related local methods for post-me communication
+   */
+  getLocalMethods() {
+    return {
+      getCookiesByDomain: async domain => {
+        this.log('🍪 getCookiesByDomain called: %s', domain);
+        return await this.getCookiesByDomain(domain);
+      },
+
+      getCookieByDomainAndName: async (cookieDomain, cookieName) => {
+        this.log('🍪 getCookieByDomainAndName called: %s, %s', cookieDomain, cookieName);
+        return await this.getCookieByDomainAndName(cookieDomain, cookieName);
+      }
+    };
+  }
+
+  /**
+   * Get all cookies which would be sent to the given domain, indexed by name
+   * @param {string} domain - Domain name, with or without protocol
+   * @returns {Promise<Object>} Cookies indexed by name
+   */
+  async getCookiesByDomain(domain) {
+    if (!this.context) {
+      throw new Error('getCookiesByDomain: browser context not available');
+    }
+
+    const cookies = await this.context.cookies(toCookieUrl(domain));
+    this.log('🍪 Found %d cookies for %s', cookies.length, domain);
+
+    return cookies.reduce((result, cookie) => {
+      result[cookie.name] = toLauncherCookie(cookie);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Get one cookie from its domain and name
+   * @param {string} cookieDomain - Domain name, with or without protocol
+   * @param {string} cookieName - Name of the cookie
+   * @returns {Promise<Object|null>} The cookie or null if not found
+   */
+  async getCookieByDomainAndName(cookieDomain, cookieName) {
+    const cookies = await this.getCookiesByDomain(cookieDomain);
+    const cookie = cookies[cookieName];
+    if (!cookie) {
+      this.log('⚠️ No cookie named %s for %s', cookieName, cookieDomain);
+      return null;
+    }
+    return cookie;
+  }
+}
+
+/**
+ * Build the url used to filter cookies, https being the default protocol like on the phone
+ * @param {string} domain - Domain name, with or without protocol
+ * @returns {string} url
+ */
+function toCookieUrl(domain) {
+  return /^https?:\/\//.test(domain) ? domain : `https://${domain}`;
+}
+
+/**
+ * Convert a Playwright cookie to the React Native launcher cookie shape
+ * @param {Object} cookie - Playwright cookie
+ * @returns {Object} cookie with name, value, domain, path, expires (ISO string), secure and httpOnly
+ */
+function toLauncherCookie(cookie) {
+  const { name, value, domain, path, expires, secure, httpOnly } = cookie;
+  return {
+    name,
+    value,
+    domain,
+    path,
+    // Playwright uses -1 for session cookies
+    expires: expires > 0 ? new Date(expires * 1000).toISOString() : undefined,
+    secure,
+    httpOnly
+  };
+}
@@ -1,16 +1,28 @@
 import debug from 'debug';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
-import { saveIdentity, saveFiles } from 'cozy-clisk';
-import { Q } from 'cozy-client';
+import { saveIdentity, saveFiles, saveBills } from 'cozy-clisk';
+import { Q, QueryDefinition } from 'cozy-client';
+import { CookieService } from './cookie-service.js';
+import { Keychain } from '../keychain.js';
+import { ReplayConnection } from '../post-me-transcript.js';
 const CREDENTIALS_PATH = path.join(path.dirname(new URL(import.meta.url).pathname), '../../data/credentials.json');
 
+// Worker methods which wait for the user to do something in the worker
+const USER_INTERACTION_METHODS = ['waitForAuthenticated'];
+
+const BLOCKING_OVERLAY_ID = 'worker-interactions-blocked';
+
 /**
  * PilotService - Gère la logique spécifique au pilot
  * Responsable de la communication avec le worker et des opérations de pilotage
+ * Emits documents:saved and files:saved when the connector saves data
  */
-export class PilotService {
+export class PilotService extends EventEmitter {
   constructor(pilotPage, workerPage, workerService) {
+    super(); // Call EventEmitter constructor
+
     this.pilotPage = pilotPage;
     this.workerPage = workerPage;
     this.workerService = workerService;
@@ -19,6 +31,8 @@ export class PilotService {
     this.handleWorkerEvent = this.handleWorkerEvent.bind(this);
     this._firstFileSave = true;
     this.destinationFolder = null; // will be set by PlaywrightLauncher
+    this.cookieService = new CookieService(pilotPage.context);
+    this.keychain = new Keychain();
     this.workerPage.on('connection:success', this.attachWorkerEvent.bind(this));
   }
 
@@ -49,6 +63,8 @@ export class PilotService {
    */
   getLocalMethods() {
     return {
+      ...this.cookieService.getLocalMethods(),
+
       setWorkerState: async state => {
         this.log('🎯 setWorkerState called with: %O', state);
         return await this._setWorkerState(state);
@@ -61,8 +77,12 @@ export class PilotService {
           throw new Error('Worker page not available.');
         }
 
-        await new Promise(resolve => setTimeout(resolve, 500));
-        await this.waitForReconnectionIfInProgress();
+        // The launcher prints the warning, this logger is only shown at the extreme log level
+        if (USER_INTERACTION_METHODS.includes(method) && !this.workerService.isWorkerVisible()) {
+          this.log('⚠️ runInWorker(%s) while the worker is hidden', method);
+          this.emit('worker:hidden-interaction', { method, timestamp: Date.now() });
+        }
+
         return await this.executeWithUrlChangeRetry(async () => {
           const workerConnection = this.workerPage.getConnection();
           if (!workerConnection) {
@@ -86,12 +106,14 @@ export class PilotService {
         }, 'runInWorker');
       },
 
-      blockWorkerInteractions: () => {
+      blockWorkerInteractions: async () => {
         this.log('🚫 blockWorkerInteractions called');
+        await this.blockWorkerInteraction();
       },
 
-      unblockWorkerInteractions: () => {
+      unblockWorkerInteractions: async () => {
         this.log('✅ unblockWorkerInteractions called');
+        await this.unblockWorkerInteraction();
       },
 
       saveIdentity: async contact => {
@@ -99,17 +121,64 @@ export class PilotService {
         const { launcherClient: client } = this.getStartContext();
         const { sourceAccountIdentifier } = this.getUserData() || {};
         await saveIdentity(contact, sourceAccountIdentifier, { client });
+
+        // cozy-clisk saveIdentity returns nothing, query the saved document like it does
+        const { data: identities } = await client.query(
+          Q('io.cozy.identities').where({ identifier: sourceAccountIdentifier, 'cozyMetadata.createdByApp': client.appMetadata?.slug }).indexFields(['identifier', 'cozyMetadata.createdByApp'])
+        );
+        this.emitDocumentsSaved('saveIdentity', 'io.cozy.identities', identities || []);
+      },
+
+      queryAll: async (queryDefinition, options) => {
+        this.log('🔎 queryAll called: %O', queryDefinition);
+        const { launcherClient: client } = this.getStartContext();
+        if (!client) {
+          throw new Error('queryAll: launcher client is not defined');
+        }
+
+        // The definition crossed post-me as a plain object, rebuild it before giving it to cozy-client
+        const queryDef = new QueryDefinition(queryDefinition);
+        const result = await client.queryAll(queryDef, options);
+        this.log('✅ queryAll returned %d documents', result?.length ?? 0);
+        return result;
       },
 
-      saveBills: async entries => {
-        this.log('💾 saveBills called: %O', entries);
+      saveBills: async (entries, options = {}) => {
+        this.log('💾 saveBills called with %d entries', entries?.length ?? 0);
+        const { launcherClient: client, konnector, account } = this.getStartContext();
+        const { sourceAccountIdentifier } = this.getUserData() || {};
+
+        if (!sourceAccountIdentifier) {
+          throw new Error('saveBills: unexpected undefined sourceAccountIdentifier');
+        }
+
+        // Bills are only created when linked to a file returned by saveFiles
+        const unlinkedCount = (entries || []).filter(entry => !entry.fileDocument).length;
+        if (unlinkedCount > 0) {
+          this.log('⚠️ saveBills: %d entries have no fileDocument and will be ignored', unlinkedCount);
+        }
+
+        // cozy-clisk saveBills ignores sourceAccount, the cozy-client of the app adds it to the cozyMetadata of new documents
+        const accountEntries = account?._id ? (entries || []).map(entry => ({ ...entry, cozyMetadata: { sourceAccount: account._id, ...entry.cozyMetadata } })) : entries;
+        const result = await saveBills(accountEntries, {
+          ...options,
+          client,
+          manifest: konnector,
+          // @ts-ignore
+          sourceAccount: account?._id,
+          sourceAccountIdentifier,
+          log: this.log.bind(this)
+        });
+        this.log('✅ saveBills saved %d bills', result?.length ?? 0);
+        this.emitDocumentsSaved('saveBills', 'io.cozy.bills', result || []);
+        return result;
       },
 
       saveFiles: async (entries, options) => {
         this.log('💾 saveFiles called');
         await this.ensureKonnectorFolder();
 
-        const { launcherClient: client, konnector, destinationFolder } = this.getStartContext() || {};
+        const { launcherClient: client, konnector, destinationFolder, account } = this.getStartContext() || {};
         const { sourceAccountIdentifier } = this.getUserData() || {};
 
         if (!destinationFolder) {
@@ -123,7 +192,7 @@ export class PilotService {
           ...options,
           manifest: konnector,
           // @ts-ignore
-          sourceAccount: 'testaccountid',
+          sourceAccount: account?._id,
           sourceAccountIdentifier,
           // @ts-ignore
           downloadAndFormatFile: async entry => ({
@@ -137,6 +206,7 @@ export class PilotService {
 
         try {
           const result = await saveFiles(client, entries, folderPath, saveFilesOptions);
+          this.emitFilesSaved('saveFiles', result);
           return result;
         } catch (err) {
           if (
@@ -146,13 +216,15 @@ export class PilotService {
             throw err;
           }
           // main destination folder has been removed during the execution of the konnector. Trying one time to reset all and relaunch saveFiles
-          return await this.retrySaveFiles(entries, saveFilesOptions);
+          const result = await this.retrySaveFiles(entries, saveFilesOptions);
+          this.emitFilesSaved('saveFiles', result);
+          return result;
         }
       },
 
       localSaveFiles: async entries => {
         this.log('💾 saveFiles called');
-        await this.waitForReconnectionIfInProgress();
+        await this.waitForWorkerConnection();
         const workerConnection = this.workerPage.getConnection();
         if (!workerConnection) {
           throw new Error('Worker connection not available.');
@@ -170,6 +242,11 @@ export class PilotService {
 
             await fs.writeFile(path.join('./data', entry.filename + ''), fileData);
             this.log('✅ File saved successfully to ./data/' + entry.filename);
+            this.emit('files:saved', {
+              method: 'localSaveFiles',
+              files: [{ name: entry.filename + '', path: path.join('./data', entry.filename + ''), size: fileData.length }],
+              timestamp: Date.now()
+            });
           } catch (error) {
             // Check if it's an execution context destroyed error
             if (error.message && error.message.includes('Execution context was destroyed')) {
@@ -181,6 +258,20 @@ export class PilotService {
         }
       },
 
+      saveCookieToKeychain: async cookie => {
+        this.log('🔐 saveCookieToKeychain called: %s', cookie?.name);
+        const { konnector } = this.getStartContext();
+        const { sourceAccountIdentifier } = this.getUserData() || {};
+        await this.keychain.saveCookie(konnector.slug, sourceAccountIdentifier, cookie);
+      },
+
+      getCookieFromKeychainByName: async cookieName => {
+        this.log('🔐 getCookieFromKeychainByName called: %s', cookieName);
+        const { konnector } = this.getStartContext();
+        const { sourceAccountIdentifier } = this.getUserData() || {};
+        return await this.keychain.getCookie(konnector.slug, sourceAccountIdentifier, cookieName);
+      },
+
       getCredentials: async () => {
         try {
           await fs.access(CREDENTIALS_PATH);
@@ -226,8 +317,30 @@ export class PilotService {
   }
 
   /**
-   * Set worker state (URL) and wait for reconnection
-   * @param {Object} state - State object containing url
+   * Notify listeners of documents saved by the connector
+   * @param {string} method - Bridge method which saved the documents
+   * @param {string} doctype - Doctype of the documents
+   * @param {Array<Object>} documents - Saved documents
+   * @private
+   */
+  emitDocumentsSaved(method, doctype, documents) {
+    this.emit('documents:saved', { method, doctype, documents, timestamp: Date.now() });
+  }
+
+  /**
+   * Notify listeners of files saved by saveFiles
+   * @param {string} method - Bridge method which saved the files
+   * @param {Array<Object>} entries - saveFiles result, entries with their fileDocument
+   * @private
+   */
+  emitFilesSaved(method, entries) {
+    const files = (entries || []).map(entry => entry.fileDocument).filter(Boolean);
+    this.emit('files:saved', { method, files, timestamp: Date.now() });
+  }
+
+  /**
+   * Set worker state (visibility and URL) and wait for reconnection
+   * @param {Object} state - State object containing url and/or visible
    * @returns {Promise} Promise that resolves when reconnection is complete
    */
   async _setWorkerState(state) {
@@ -235,74 +348,70 @@ export class PilotService {
       throw new Error('Worker page not available.');
     }
 
-    const { url } = state;
+    const { url, visible } = state;
+
+    if (visible !== undefined) {
+      await this.workerService.setVisible(visible);
+    }
 
     if (!url) {
       this.log('No url to set in worker state, canceling');
       return;
     }
 
-    return await this.executeWithUrlChangeRetry(async () => {
-      this.log('🎯 Setting worker URL to: %s', url);
-      const startTime = Date.now();
+    // A replayed worker answers with recorded responses, the website is never loaded
+    if (this.workerPage.getConnection() instanceof ReplayConnection) {
+      this.log('🔁 Replay mode, worker is not navigated to: %s', url);
+      return { success: true, url, duration: 0, replayed: true };
+    }
 
-      // Check if we're already at the target URL (normalize URLs for comparison)
-      const currentUrl = this.workerPage.page.url();
-      const normalizeUrl = url => {
-        try {
-          const parsed = new URL(url);
-          return parsed.href; // This normalizes the URL (adds trailing slash if needed)
-        } catch {
-          return url;
-        }
-      };
+    this.log('🎯 Setting worker URL to: %s', url);
+    const startTime = Date.now();
 
-      const normalizedCurrentUrl = normalizeUrl(currentUrl);
-      const normalizedTargetUrl = normalizeUrl(url);
+    // Let a reconnection in progress finish before comparing URLs
+    await this.waitForWorkerConnection();
 
-      if (normalizedCurrentUrl === normalizedTargetUrl) {
-        this.log('✅ Already at target URL: %s (current: %s), no navigation needed', normalizedTargetUrl, normalizedCurrentUrl);
-        return {
-          success: true,
-          url: normalizedCurrentUrl,
-          duration: 0,
-          alreadyAtUrl: true
-        };
+    // Check if we're already at the target URL (normalize URLs for comparison)
+    const currentUrl = this.workerPage.page.url();
+    const normalizeUrl = url => {
+      try {
+        const parsed = new URL(url);
+        return parsed.href; // This normalizes the URL (adds trailing slash if needed)
+      } catch {
+        return url;
       }
+    };
 
-      // Navigate worker to new URL
-      await this.workerPage.navigate(url);
-      this.log('🌐 Worker navigation completed to: %s', url);
+    const normalizedCurrentUrl = normalizeUrl(currentUrl);
+    const normalizedTargetUrl = normalizeUrl(url);
 
-      // Wait for reconnection using worker service's promise
-      const reconnectionPromise = this.workerService.getReconnectionPromise();
-      if (reconnectionPromise) {
-        this.log('⏳ Waiting for worker reconnection...');
-        try {
-          const success = await reconnectionPromise;
-          if (success) {
-            this.log('✅ Worker reconnection successful');
-            return {
-              success: true,
-              url: url,
-              duration: Date.now() - startTime
-            };
-          } else {
-            throw new Error('Worker reconnection failed');
-          }
-        } catch (error) {
-          this.log('❌ Worker reconnection failed: %O', error);
-          throw new Error(`Worker reconnection failed: ${error.message}`);
-        }
-      } else {
-        this.log('⚠️ No reconnection promise available, assuming success');
-        return {
-          success: true,
-          url: url,
-          duration: Date.now() - startTime
-        };
-      }
-    }, 'setWorkerState');
+    if (normalizedCurrentUrl === normalizedTargetUrl) {
+      this.log('✅ Already at target URL: %s (current: %s), no navigation needed', normalizedTargetUrl, normalizedCurrentUrl);
+      return {
+        success: true,
+        url: normalizedCurrentUrl,
+        duration: 0,
+        alreadyAtUrl: true
+      };
+    }
+
+    // Navigate worker to new URL, the worker service reconnects after the navigation and its redirects
+    await this.workerPage.navigate(url);
+    this.log('🌐 Worker navigation completed to: %s', url);
+
+    this.log('⏳ Waiting for worker reconnection...');
+    try {
+      await this.waitForWorkerConnection();
+    } catch (error) {
+      this.log('❌ Worker reconnection failed: %O', error);
+      throw new Error(`Worker reconnection failed: ${error.message}`);
+    }
+    this.log('✅ Worker reconnection successful');
+    return {
+      success: true,
+      url: url,
+      duration: Date.now() - startTime
+    };
   }
 
   /**
@@ -320,8 +429,8 @@ export class PilotService {
       try {
         this.log(`🚀 Executing ${commandName} (attempt ${retryCount + 1}/${maxRetries})`);
 
-        // Check if reconnection is in progress and wait for it to complete
-        await this.waitForReconnectionIfInProgress();
+        // Wait for the worker to be connected, after a navigation or during a reconnection
+        await this.waitForWorkerConnection();
 
         // Create a promise that will be rejected if URL change occurs
         const urlChangePromise = new Promise((_, reject) => {
@@ -395,24 +504,19 @@ export class PilotService {
   }
 
   /**
-   * Wait for reconnection to complete if one is in progress
+   * Wait until the worker connector can be called, as long as a navigation or a reconnection is in progress
    * @private
    */
-  async waitForReconnectionIfInProgress() {
+  async waitForWorkerConnection() {
     if (!this.workerService) {
       return;
     }
 
-    const reconnectionPromise = this.workerService.getReconnectionPromise();
-    if (reconnectionPromise && !reconnectionPromise.settled) {
-      this.log('⏳ Reconnection in progress, waiting for completion...');
-      try {
-        await reconnectionPromise;
-        this.log('✅ Reconnection completed, proceeding with command');
-      } catch (error) {
-        this.log('❌ Reconnection failed: %O', error);
-        throw error;
-      }
+    try {
+      await this.workerService.waitUntilConnected();
+    } catch (error) {
+      this.log('❌ Worker connection failed: %O', error);
+      throw error;
     }
   }
 
@@ -458,17 +562,33 @@ export class PilotService {
   }
 
   /**
-   * Block worker interaction
+   * Block worker interaction with an overlay and a spinner, like the mobile app does
+   * The overlay stays in place across worker navigations until unblockWorkerInteraction is called
    */
-  blockWorkerInteraction() {
+  async blockWorkerInteraction() {
     this.log('🚫 blockWorkerInteraction called');
+    await this.workerPage.showOverlay(BLOCKING_OVERLAY_ID, {
+      text: '⏳ Worker interactions blocked',
+      background: 'rgba(0, 0, 0, 0.7)',
+      blocking: true,
+      spinner: true
+    });
   }
 
   /**
    * Unblock worker interaction
    */
-  unblockWorkerInteraction() {
+  async unblockWorkerInteraction() {
     this.log('✅ unblockWorkerInteraction called');
+    await this.workerPage.hideOverlay(BLOCKING_OVERLAY_ID);
+  }
+
+  /**
+   * Check if worker interactions are currently blocked
+   * Useful at the end of an execution to detect connectors which forgot to unblock
+   */
+  isWorkerInteractionBlocked() {
+    return this.workerPage ? this.workerPage.hasOverlay(BLOCKING_OVERLAY_ID) : false;
   }
 
   /**
@@ -485,6 +605,7 @@ export class PilotService {
     if (this.workerService) {
       this.workerService.removeAllListeners();
     }
+    this.removeAllListeners();
 
     this.log('🧹 PilotService cleaned up');
   }
@@ -494,7 +615,8 @@ export class PilotService {
    * Returns { launcherClient }
    */
   getStartContext() {
-    return { konnector: this.konnector, launcherClient: this._launcherClient || null, destinationFolder: this.destinationFolder };
+    const { account, trigger, job } = this._launcherContext || {};
+    return { konnector: this.konnector, launcherClient: this._launcherClient || null, destinationFolder: this.destinationFolder, account, trigger, job };
   }
 
   /** Optional user data (comes from the running connector) */
@@ -511,6 +633,11 @@ export class PilotService {
     this._userData = userData;
   }
 
+  /** Fake account, trigger and job documents of the execution */
+  setLauncherContext(launcherContext) {
+    this._launcherContext = launcherContext;
+  }
+
   // file methods
   shouldResetFileIndex() {
     if (this._firstFileSave) {
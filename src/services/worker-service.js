@@ -1,6 +1,9 @@
 import debug from 'debug';
 import { EventEmitter } from 'events';
-import debounce from 'lodash.debounce';
+import { CookieService } from './cookie-service.js';
+import { PAGE_MESSAGE_EVENTS } from '../clisk-page.js';
+
+const HIDDEN_OVERLAY_ID = 'worker-hidden';
 
 /**
  * WorkerService - Gère la logique spécifique au worker
@@ -8,26 +11,36 @@ import debounce from 'lodash.debounce';
  * Extends EventEmitter to provide event-driven architecture
  */
 export class WorkerService extends EventEmitter {
-  constructor(workerPage) {
+  /**
+   * @param {CliskPage} workerPage - Worker page
+   * @param {CliskPage} pilotPage - Pilot page, receiving data sent by the worker with sendToPilot
+   */
+  constructor(workerPage, pilotPage = null) {
     super(); // Call EventEmitter constructor
 
     this.workerPage = workerPage;
+    this.pilotPage = pilotPage;
     this.log = debug('clisk:worker-service');
     this.navLog = debug('clisk:worker-service:nav');
+    this.cookieService = new CookieService(workerPage.context);
 
     // URL monitoring state
     this.currentUrl = null;
     this.urlChangeTimeout = null;
     this.isMonitoringEnabled = false;
+    this.monitoredPage = null;
     this.activeTimers = new Set(); // Track active timers for cleanup
 
-    // Reconnection promise state
-    this.currentReconnectionPromise = null;
-    this.reconnectionResolve = null;
-    this.reconnectionReject = null;
+    // Worker visibility, unknown until the launcher hides the worker like the React Native launcher does
+    this.isVisible = null;
+
+    // Incremented on each navigation, a reconnection stops as soon as a newer navigation happens (redirects)
+    this.navigationId = 0;
 
-    // Create debounced version of handleUrlChange with 1000ms delay to handle redirects
-    this.debouncedHandleUrlChange = debounce(this.handleUrlChange.bind(this), 1000);
+    // Log the page lifecycle messages sent by the worker connector
+    for (const eventName of Object.values(PAGE_MESSAGE_EVENTS)) {
+      workerPage.on(eventName, ({ url }) => this.navLog('📄 %s: %s', eventName, url));
+    }
   }
 
   /**
@@ -57,11 +70,66 @@ export class WorkerService extends EventEmitter {
    */
   getLocalMethods() {
     return {
-      // Basic worker methods can be added here
-      // For now, return empty object as worker mainly receives commands
+      ...this.cookieService.getLocalMethods(),
+
+      // Used by the worker storeFromWorker to give intercepted data to the pilot
+      sendToPilot: async obj => {
+        this.log('📤 sendToPilot called with keys: %O', obj ? Object.keys(obj) : obj);
+        const pilotConnection = this.pilotPage ? this.pilotPage.getConnection() : null;
+        if (!pilotConnection) {
+          throw new Error('Pilot connection not available.');
+        }
+        return await pilotConnection.remoteHandle().call('storeFromWorker', obj);
+      }
     };
   }
 
+  /**
+   * Show or hide the worker, like the React Native launcher shows the worker webview to the user
+   * A hidden worker stays usable by the connector but is covered by an overlay
+   * @param {boolean} visible - Whether the user can see and interact with the worker
+   */
+  async setVisible(visible) {
+    const previousVisible = this.isVisible;
+    this.isVisible = Boolean(visible);
+
+    if (previousVisible === this.isVisible) {
+      this.log('👁️ Worker already %s', this.isVisible ? 'visible' : 'hidden');
+      return;
+    }
+
+    if (this.isVisible) {
+      this.log('👀 Worker is now visible');
+      await this.workerPage.hideOverlay(HIDDEN_OVERLAY_ID);
+      const page = this.workerPage.getPage();
+      if (page && !page.isClosed()) {
+        await page.bringToFront();
+      }
+    } else {
+      this.log('🙈 Worker is now hidden');
+      await this.workerPage.showOverlay(HIDDEN_OVERLAY_ID, {
+        text: '🙈 Worker hidden from the user',
+        background: 'rgba(0, 0, 0, 0.55)'
+      });
+    }
+
+    const page = this.workerPage.getPage();
+    this.emit('worker:visibility', {
+      visible: this.isVisible,
+      previousVisible,
+      url: page && !page.isClosed() ? page.url() : null,
+      pageName: this.workerPage ? this.workerPage.pageName : 'unknown',
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Check if the worker is visible to the user
+   */
+  isWorkerVisible() {
+    return this.isVisible === true;
+  }
+
   /**
    * Enable URL change monitoring and automatic reconnection
    */
@@ -79,20 +147,27 @@ export class WorkerService extends EventEmitter {
     this.navLog('🔍 Enabling URL change monitoring...');
     this.isMonitoringEnabled = true;
 
-    // Listen for URL changes (navigation events)
+    // Listen for URL changes (navigation events), only once per page as monitoring can be enabled again after a connector reload
     const page = this.workerPage.getPage();
-    page.on('framenavigated', async frame => {
-      // Only handle main frame navigation
-      if (frame !== page.mainFrame()) return;
-
-      const newUrl = frame.url();
-      const oldUrl = this.currentUrl;
-      this.navLog('🌍 URL changed: %s → %s', oldUrl, newUrl);
-      this.currentUrl = newUrl;
+    if (this.monitoredPage !== page) {
+      this.monitoredPage = page;
+      page.on('framenavigated', async frame => {
+        // Only handle main frame navigation
+        if (frame !== page.mainFrame()) return;
+
+        const newUrl = frame.url();
+        const oldUrl = this.currentUrl;
+        this.navLog('🌍 URL changed: %s → %s', oldUrl, newUrl);
+        this.currentUrl = newUrl;
+
+        if (!this.isMonitoringEnabled) {
+          return;
+        }
 
-      // Trigger reconnection with debounced function
-      await this.debouncedHandleUrlChange(newUrl, oldUrl);
-    });
+        // Reconnect right away, the reconnection of a previous navigation is superseded
+        await this.handleUrlChange(newUrl, oldUrl);
+      });
+    }
 
     // Track initial URL
     this.currentUrl = page.url();
@@ -117,6 +192,8 @@ export class WorkerService extends EventEmitter {
       clearTimeout(this.urlChangeTimeout);
       this.urlChangeTimeout = null;
     }
+    // Stop the reconnection in progress at its next step
+    this.navigationId++;
 
     // Note: We don't remove the 'framenavigated' listener as Playwright doesn't
     // provide a direct way to remove specific listeners, but we use the
@@ -127,6 +204,9 @@ export class WorkerService extends EventEmitter {
 
   /**
    * Handle URL change and attempt reconnection
+   * The connector is injected once the new document is loaded and the handshake starts once it is ready,
+   * a newer navigation (like a redirect) supersedes the reconnection at its next step
+   * Failures move the connection state to idle with the error, so that the calls waiting for the worker fail right away
    * @param {string} newUrl - New URL
    * @param {string} oldUrl - Previous URL
    * @returns {Promise<boolean>} Promise that resolves with true if reconnection is successful
@@ -137,15 +217,8 @@ export class WorkerService extends EventEmitter {
       this.navLog('⚠️ URL monitoring disabled, skipping auto-reconnection');
       return false;
     }
-
-    // Create new reconnection promise if none exists or previous one is settled
-    if (!this.currentReconnectionPromise || this.currentReconnectionPromise.settled) {
-      this.currentReconnectionPromise = new Promise((resolve, reject) => {
-        this.reconnectionResolve = resolve;
-        this.reconnectionReject = reject;
-      });
-      this.currentReconnectionPromise.settled = false;
-    }
+    const navigationId = ++this.navigationId;
+    const { connectionState } = this.workerPage;
 
     // Emit url-change event
     this.emit('url-change', {
@@ -161,7 +234,7 @@ export class WorkerService extends EventEmitter {
     // Check if page is still valid and context is not closed
     if (!page || page.isClosed()) {
       this.navLog('⚠️ Page is closed, skipping auto-reconnection');
-      this.reconnectionReject(new Error('Page is closed'));
+      connectionState.transition('idle', { error: new Error('Page is closed') });
       return false;
     }
 
@@ -169,22 +242,32 @@ export class WorkerService extends EventEmitter {
     try {
       if (!page.context() || (page.context().isConnected && !page.context().isConnected())) {
         this.navLog('⚠️ Browser context is disconnected, skipping auto-reconnection');
-        this.reconnectionReject(new Error('Browser context is disconnected'));
+        connectionState.transition('idle', { error: new Error('Browser context is disconnected') });
         return false;
       }
     } catch (error) {
       this.navLog('⚠️ Cannot access browser context, skipping auto-reconnection: %O', error);
-      this.reconnectionReject(new Error('Cannot access browser context'));
+      connectionState.transition('idle', { error: new Error('Cannot access browser context') });
       return false;
     }
 
-    // Set a timeout for the entire reconnection process
-    const reconnectionTimeout = this.createTrackedTimeout(() => {
-      this.navLog('⏰ Reconnection timeout after 15 seconds');
-      this.reconnectionReject(new Error('Reconnection timeout after 15 seconds'));
-    }, 15000);
-
+    // No timeout for the whole reconnection: each step is bounded, the load by 15s and the handshake by 10s
     const startTime = Date.now();
+    let handshakeTimeout = null;
+
+    // A newer navigation supersedes this reconnection and leaves the connection state to its own one
+    const isSuperseded = () => navigationId !== this.navigationId;
+    const supersede = () => {
+      this.navLog('⏭️ Reconnection to %s superseded by a newer navigation', newUrl);
+      this.emit('reconnection:superseded', {
+        newUrl,
+        oldUrl,
+        pageName: this.workerPage ? this.workerPage.pageName : 'unknown',
+        timestamp: Date.now(),
+        duration: Date.now() - startTime
+      });
+      return false;
+    };
 
     try {
       this.navLog('🔄 Starting auto-reconnection process...');
@@ -212,38 +295,49 @@ export class WorkerService extends EventEmitter {
       // Check again if page is still valid after closing connection
       if (!page || page.isClosed()) {
         this.navLog('⚠️ Page was closed during reconnection, aborting');
-        this.clearTrackedTimeout(reconnectionTimeout);
-        this.reconnectionReject(new Error('Page was closed during reconnection'));
+        connectionState.transition('idle', { error: new Error('Page was closed during reconnection') });
         return false;
       }
 
-      // Wait a bit for the new page to load
-      this.navLog('⏳ Waiting for page to stabilize...');
-      try {
-        await page.waitForTimeout(2000); // Increased wait time
-      } catch (error) {
-        if (error.message.includes('Target page, context or browser has been closed')) {
-          this.navLog('⚠️ Page closed during stabilization, aborting reconnection');
-          this.clearTrackedTimeout(reconnectionTimeout);
-          this.reconnectionReject(new Error('Page closed during stabilization'));
-          return false;
+      // Wait for the DOM of the new document, unless the connector is injected at document start:
+      // the handshake then only waits for its worker:initializing signal
+      // The load event is not awaited, as a slow image or tracker would delay the connector
+      if (this.workerPage.injection !== 'init-script') {
+        this.navLog('⏳ Waiting for the page DOMContentLoaded event...');
+        try {
+          await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
+        } catch (error) {
+          if (error.message.includes('Target page, context or browser has been closed')) {
+            this.navLog('⚠️ Page closed during load, aborting reconnection');
+            connectionState.transition('idle', { error: new Error('Page closed during load') });
+            return false;
+          }
+          if (error.name !== 'TimeoutError') {
+            throw error;
+          }
+          // The connector is injected anyway, the handshake timeout tells if it could not run
+          this.navLog('⚠️ Page still loading after 15s, injecting the connector anyway');
         }
-        throw error;
       }
+      if (isSuperseded()) {
+        return supersede();
+      }
+      connectionState.transition('injecting', { url: newUrl });
 
       // The communication bridge doesn't need to be re-setup
       // as functions are exposed at the context level and persist
       this.navLog('🔗 Communication bridge already available');
 
       // Re-inject connector on the new page if connector path is available
-      if (this.workerPage.connectorPath && this.workerPage.loaderFunction) {
+      if (this.workerPage.injection === 'init-script') {
+        this.navLog('📦 Connector already injected at document start');
+      } else if (this.workerPage.connectorPath && this.workerPage.loaderFunction) {
         this.navLog('📦 Re-injecting connector...');
         try {
           await this.workerPage.loaderFunction(page, this.workerPage.connectorPath);
           this.navLog('✅ Connector re-injected successfully');
         } catch (error) {
           this.navLog('❌ Failed to re-inject connector: %O', error);
-          this.reconnectionReject(error);
           throw error;
         }
       } else {
@@ -256,18 +350,20 @@ export class WorkerService extends EventEmitter {
       // Check one more time if page is still valid before handshake
       if (!page || page.isClosed()) {
         this.navLog('⚠️ Page was closed before handshake, aborting');
-        this.clearTrackedTimeout(reconnectionTimeout);
-        this.reconnectionReject(new Error('Page was closed before handshake'));
+        connectionState.transition('idle', { error: new Error('Page was closed before handshake') });
         return false;
       }
 
       // Create a promise with timeout for handshake
       const handshakePromise = this.workerPage.initiateHandshake({}, 'worker');
       const timeoutPromise = new Promise((_, reject) => {
-        this.createTrackedTimeout(() => reject(new Error('Handshake timeout')), 10000);
+        handshakeTimeout = this.createTrackedTimeout(() => reject(new Error('Handshake timeout')), 10000);
       });
 
       const newConnection = await Promise.race([handshakePromise, timeoutPromise]);
+      if (isSuperseded()) {
+        return supersede();
+      }
 
       this.navLog('✅ Auto-reconnection successful!');
 
@@ -281,15 +377,11 @@ export class WorkerService extends EventEmitter {
         duration: Date.now() - startTime
       });
 
-      this.clearTrackedTimeout(reconnectionTimeout);
-
-      // Resolve the reconnection promise with true
-      this.reconnectionResolve(true);
-      this.currentReconnectionPromise.settled = true;
-
       return true;
     } catch (error) {
-      this.clearTrackedTimeout(reconnectionTimeout);
+      if (isSuperseded()) {
+        return supersede();
+      }
 
       // Don't log errors if page/context is closed (normal during cleanup)
       const isPageClosedError =
@@ -300,7 +392,7 @@ export class WorkerService extends EventEmitter {
 
       if (isPageClosedError) {
         this.navLog('ℹ️ Reconnection cancelled due to page closure (normal during cleanup)');
-        this.reconnectionReject(new Error('Reconnection cancelled due to page closure'));
+        connectionState.transition('idle', { error: new Error('Reconnection cancelled due to page closure') });
       } else {
         this.navLog('❌ Auto-reconnection failed: %O', error);
         console.error('❌ Worker auto-reconnection failed:', error);
@@ -316,20 +408,27 @@ export class WorkerService extends EventEmitter {
           isPageClosedError
         });
 
-        this.reconnectionReject(error);
+        // Pilot calls waiting for the worker fail right away
+        connectionState.transition('idle', { error });
       }
-
-      this.currentReconnectionPromise.settled = true;
       return false;
+    } finally {
+      this.clearTrackedTimeout(handshakeTimeout);
     }
   }
 
   /**
-   * Get the current reconnection promise
-   * @returns {Promise<boolean>|null} Promise that resolves with true if reconnection is successful, null if no reconnection in progress
+   * Wait until the worker connector can be called, after a navigation or during a reconnection
+   * @param {Object} options
+   * @param {number} options.timeout - Maximum time to wait in ms (default: 30000)
+   * @returns {Promise<void>} rejected if the reconnection fails
    */
-  getReconnectionPromise() {
-    return this.currentReconnectionPromise || Promise.resolve(true);
+  async waitUntilConnected({ timeout = 30000 } = {}) {
+    const { connectionState } = this.workerPage;
+    if (!connectionState.is('connected')) {
+      this.navLog('⏳ Waiting for the worker to be connected (current state: %s)', connectionState.state);
+    }
+    await connectionState.waitFor('connected', { timeout });
   }
 
   /**
@@ -363,11 +462,6 @@ export class WorkerService extends EventEmitter {
     }
     this.activeTimers.clear();
 
-    // Cancel any pending debounced calls
-    if (this.debouncedHandleUrlChange && this.debouncedHandleUrlChange.cancel) {
-      this.debouncedHandleUrlChange.cancel();
-    }
-
     this.disableUrlMonitoring();
     this.log('🧹 WorkerService cleaned up');
   }
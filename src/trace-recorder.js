@@ -0,0 +1,123 @@
+/**
+ * Trace Recorder Module
+ * Records a Playwright trace of a whole connector run, with named groups for lifecycle steps
+ * and runInWorker calls, and marks for worker reconnections
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+
+const log = debug('clisk:trace');
+
+/**
+ * Wrapper around context.tracing which never makes the run fail
+ */
+export class TraceRecorder {
+  /**
+   * @param {Object} context - Playwright browser context
+   */
+  constructor(context) {
+    this.context = context;
+    this.isTracing = false;
+    // Ids of the open groups, in opening order: Playwright trace groups are a stack
+    this.openGroups = [];
+    this.lastGroupId = 0;
+    this.groupsSupported = typeof context.tracing.group === 'function';
+  }
+
+  /**
+   * Start tracing, with screenshots, DOM snapshots and sources
+   * @param {string} title - Title displayed in the trace viewer
+   */
+  async start(title) {
+    await this.context.tracing.start({ screenshots: true, snapshots: true, sources: true, title });
+    this.isTracing = true;
+    if (!this.groupsSupported) {
+      log('⚠️ This Playwright version does not support trace groups, upgrade to 1.49 or later to see them');
+    }
+    log('🎞️ Tracing started');
+  }
+
+  /**
+   * Listen to the pilot page and the worker service to create groups and marks
+   * @param {Object} options
+   * @param {CliskPage} options.pilotPage - Pilot page, emitting post-me:message events
+   * @param {WorkerService} options.workerService - Emitting reconnection events
+   */
+  attach({ pilotPage, workerService }) {
+    // Groups of the runInWorker calls made by the connector, by post-me request, ended when the launcher sends the response
+    const runInWorkerGroups = new Map();
+    pilotPage.on('post-me:message', ({ direction, message }) => {
+      const key = `${message?.sessionId}:${message?.requestId}`;
+      if (direction === 'received' && message?.action === 'call' && message.methodName === 'runInWorker') {
+        runInWorkerGroups.set(key, this.group(`runInWorker ${message.args?.[0]}`));
+      } else if (direction === 'sent' && message?.action === 'response' && runInWorkerGroups.has(key)) {
+        this.groupEnd(runInWorkerGroups.get(key));
+        runInWorkerGroups.delete(key);
+      }
+    });
+
+    // Reconnections start during steps and runInWorker calls and can be superseded, a group would not nest in them
+    workerService.on('reconnection:start', ({ newUrl }) => this.mark(`Worker reconnection to ${newUrl}`));
+    workerService.on('reconnection:success', ({ newUrl }) => this.mark(`Worker reconnected to ${newUrl}`));
+    workerService.on('reconnection:error', ({ newUrl, error }) => this.mark(`Worker reconnection to ${newUrl} failed: ${error}`));
+    workerService.on('reconnection:superseded', ({ newUrl }) => this.mark(`Worker reconnection to ${newUrl} superseded by a new navigation`));
+  }
+
+  /**
+   * Open a named group, following actions are displayed inside it until groupEnd is called
+   * @param {string} name - Group name
+   * @returns {number|null} group id to give to groupEnd, null when groups are not recorded
+   */
+  group(name) {
+    if (!this.isTracing || !this.groupsSupported) {
+      return null;
+    }
+    const id = ++this.lastGroupId;
+    this.openGroups.push(id);
+    this.context.tracing.group(name).catch(error => log('⚠️ Could not open trace group %s: %s', name, error.message));
+    return id;
+  }
+
+  /**
+   * Close a group, the groups opened after it are displayed inside it and are closed too
+   * @param {number} id - Group id returned by group, the last opened group by default
+   */
+  groupEnd(id = this.openGroups.at(-1)) {
+    const index = this.openGroups.indexOf(id);
+    if (!this.isTracing || index === -1) {
+      return;
+    }
+    while (this.openGroups.length > index) {
+      this.openGroups.pop();
+      this.context.tracing.groupEnd().catch(error => log('⚠️ Could not close trace group: %s', error.message));
+    }
+  }
+
+  /**
+   * Record an event as an empty group, without changing the open groups
+   * @param {string} name - Mark name
+   */
+  mark(name) {
+    this.groupEnd(this.group(name));
+  }
+
+  /**
+   * Stop tracing and save the trace zip
+   * @param {string} tracePath - Path of the trace zip
+   * @returns {Promise<string|null>} trace path, or null when tracing was not started
+   */
+  async stop(tracePath) {
+    if (!this.isTracing) {
+      return null;
+    }
+    this.groupEnd(this.openGroups[0]);
+    this.isTracing = false;
+
+    await fs.mkdir(path.dirname(path.resolve(tracePath)), { recursive: true });
+    await this.context.tracing.stop({ path: tracePath });
+    log('🎞️ Trace saved in %s', tracePath);
+    return tracePath;
+  }
+}
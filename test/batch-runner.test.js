@@ -0,0 +1,54 @@
+/**
+ * Tests for the batch runner
+ * Connector results are built by hand, connectors are not run
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { expandConnectorPaths, formatBatchSummary, toJUnitXml } from '../src/batch-runner.js';
+
+const results = [
+  {
+    connectorPath: 'examples/evaluate-konnector',
+    success: true,
+    error: null,
+    connector: { slug: 'template' },
+    steps: [{ step: 'ensureAuthenticated', duration: 120 }],
+    errors: [],
+    timings: { total: 1500 }
+  },
+  {
+    connectorPath: 'examples/goto-konnector',
+    success: false,
+    error: { name: 'Error', message: 'LOGIN_FAILED <"bad">' },
+    connector: { slug: 'template' },
+    steps: [{ step: 'ensureAuthenticated', duration: 80, error: { name: 'Error', message: 'LOGIN_FAILED <"bad">' } }],
+    errors: [{ source: 'step', name: 'Error', message: 'LOGIN_FAILED <"bad">' }],
+    timings: { total: 2250 }
+  }
+];
+
+test('should expand connector globs relative to the runner root', () => {
+  // Act
+  const connectorPaths = expandConnectorPaths(['examples/*-konnector', './examples/evaluate-konnector']);
+
+  // Assert
+  assert.ok(connectorPaths.includes('examples/evaluate-konnector'));
+  assert.ok(connectorPaths.includes('examples/minimal-konnector'));
+  assert.strictEqual(connectorPaths.filter(connectorPath => connectorPath === 'examples/evaluate-konnector').length, 1);
+  assert.throws(() => expandConnectorPaths(['examples/missing-*']), /No connector found for examples\/missing-\*/);
+});
+
+test('should summarize results as a table and as JUnit XML', () => {
+  // Act
+  const summary = formatBatchSummary(results);
+  const xml = toJUnitXml(results, { timestamp: new Date('2024-06-15T12:00:00.000Z') });
+
+  // Assert
+  assert.match(summary, /examples\/evaluate-konnector\s+PASS\s+1\.5s/);
+  assert.match(summary, /examples\/goto-konnector\s+FAIL\s+2\.3s\s+LOGIN_FAILED/);
+  assert.match(summary, /1 passed, 1 failed, 2 connectors/);
+  assert.match(xml, /<testsuite name="cliskDevRunner" tests="2" failures="1" errors="0" skipped="0" time="3.75" timestamp="2024-06-15T12:00:00.000Z">/);
+  assert.match(xml, /<testcase classname="template" name="examples\/goto-konnector" time="2.25">/);
+  assert.match(xml, /<failure message="LOGIN_FAILED &lt;&quot;bad&quot;&gt;" type="Error">\[step\] Error: LOGIN_FAILED/);
+});
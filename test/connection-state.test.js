@@ -0,0 +1,51 @@
+/**
+ * Tests for the navigation and connection state machine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ConnectionState } from '../src/connection-state.js';
+
+test('should wait for a state and emit each transition', async () => {
+  // Arrange
+  const connectionState = new ConnectionState();
+  const changes = [];
+  connectionState.on('change', ({ from, to, url }) => changes.push([from, to, url]));
+
+  // Act
+  const connected = connectionState.waitFor('connected');
+  connectionState.transition('navigating', { url: 'https://example.com/login' });
+  connectionState.transition('injecting');
+  connectionState.transition('handshaking');
+  connectionState.transition('connected');
+  await connected;
+
+  // Assert
+  assert.ok(connectionState.is('connected'));
+  assert.deepStrictEqual(changes, [
+    ['idle', 'navigating', 'https://example.com/login'],
+    ['navigating', 'injecting', 'https://example.com/login'],
+    ['injecting', 'handshaking', 'https://example.com/login'],
+    ['handshaking', 'connected', 'https://example.com/login']
+  ]);
+  await connectionState.waitFor('connected', { timeout: 1 });
+});
+
+test('should stop waiting on failure and on timeout', async () => {
+  // Arrange
+  const connectionState = new ConnectionState();
+  connectionState.transition('handshaking');
+
+  // Act
+  const failed = connectionState.waitFor('connected');
+  connectionState.transition('idle', { error: new Error('Handshake timeout') });
+
+  // Assert
+  await assert.rejects(failed, /Handshake timeout/);
+  await assert.rejects(connectionState.waitFor('connected', { timeout: 10 }), /Handshake timeout/, 'A failed page should not be waited for');
+  await connectionState.waitFor('idle');
+  connectionState.transition('navigating');
+  await assert.rejects(connectionState.waitFor('connected', { timeout: 10 }), /Timeout after 10ms waiting for the connected state, current state: navigating/);
+  assert.throws(() => connectionState.transition('loading'), /Unknown connection state: loading/);
+  assert.strictEqual(connectionState.listenerCount('change'), 0);
+});
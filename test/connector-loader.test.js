@@ -0,0 +1,56 @@
+/**
+ * Tests for the connector loader injection modes
+ * A fake page records the scripts, which are run in a vm context standing for the page
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+import { loadConnector } from '../src/connector-loader.js';
+
+function createFakePage() {
+  const scripts = { init: [], tags: [] };
+  return {
+    scripts,
+    addInitScript: async ({ content }) => scripts.init.push(content),
+    addScriptTag: async ({ content }) => scripts.tags.push(content)
+  };
+}
+
+test('should inject the connector after navigation by default', async () => {
+  // Arrange
+  const page = createFakePage();
+
+  // Act
+  const manifest = await loadConnector(page, 'examples/minimal-konnector');
+
+  // Assert
+  assert.strictEqual(manifest.slug, 'minimal-debug');
+  assert.strictEqual(page.scripts.init.length, 0);
+  assert.strictEqual(page.scripts.tags.length, 1);
+});
+
+test('should run the connector once per document, in the main frame only, with the init-script injection', async () => {
+  // Arrange
+  const page = createFakePage();
+  await loadConnector(page, 'examples/minimal-konnector', { injection: 'init-script' });
+  const [initScript] = page.scripts.init;
+  // The connector code is replaced by a counter, the wrapper is kept
+  const script = initScript.replace(/(window\.__cliskConnectorInjected = true;\n)[\s\S]*(\n\}\)\(\);)$/, '$1window.runs = (window.runs || 0) + 1;$2');
+  const mainFrame = vm.createContext({});
+  mainFrame.window = mainFrame;
+  mainFrame.window.top = mainFrame;
+  const iframe = vm.createContext({});
+  iframe.window = iframe;
+  iframe.window.top = mainFrame;
+
+  // Act - the init script and the script tag both run in the current document
+  vm.runInContext(script, mainFrame);
+  vm.runInContext(script, mainFrame);
+  vm.runInContext(script, iframe);
+
+  // Assert
+  assert.deepStrictEqual(page.scripts.tags, [initScript]);
+  assert.strictEqual(mainFrame.runs, 1);
+  assert.strictEqual(iframe.runs, undefined);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the connector watcher used by watch mode
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConnectorWatcher } from '../src/connector-watcher.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-watch-'));
+  await fs.writeFile(path.join(tmpDir, 'main.js'), '// v1');
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should emit one change event for a rebuild written in several chunks', async () => {
+  // Arrange
+  const watcher = new ConnectorWatcher(tmpDir, { delay: 100 });
+  const changes = [];
+  watcher.on('change', change => changes.push(change));
+  watcher.start();
+
+  try {
+    // Act
+    await fs.writeFile(path.join(tmpDir, 'README.md'), 'not watched');
+    await fs.writeFile(path.join(tmpDir, 'main.js'), '// v2');
+    await fs.appendFile(path.join(tmpDir, 'main.js'), '\n// end of bundle');
+    await once(watcher, 'change');
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // Assert
+    assert.strictEqual(changes.length, 1);
+    assert.deepStrictEqual(changes[0].files, ['main.js']);
+  } finally {
+    watcher.close();
+  }
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the control server
+ * Plain EventEmitters stand for the launcher, its pages and its worker service
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter, once } from 'events';
+import WebSocket from 'ws';
+import { ControlServer } from '../src/control-server.js';
+
+let controlServer;
+let baseUrl;
+const pilotPage = Object.assign(new EventEmitter(), {
+  getPage: () => ({ url: () => 'about:blank', isClosed: () => false }),
+  getConnection: () => ({})
+});
+const workerPage = Object.assign(new EventEmitter(), {
+  getPage: () => ({ url: () => 'https://example.com/login', isClosed: () => false }),
+  getConnection: () => null,
+  connectionState: { state: 'navigating' }
+});
+const workerService = Object.assign(new EventEmitter(), { isWorkerVisible: () => false, isMonitoring: () => true });
+const launcher = Object.assign(new EventEmitter(), {
+  connectorPath: 'examples/evaluate-konnector',
+  isInitialized: true,
+  getPilotPage: () => pilotPage,
+  getWorkerPage: () => workerPage,
+  getWorkerService: () => workerService,
+  getPilotService: () => ({ konnector: { slug: 'template', name: 'Template', version: '1.0.0' } }),
+  getStepResults: () => [{ step: 'ensureAuthenticated', startedAt: 0, duration: 10, error: new Error('LOGIN_FAILED') }],
+  callPilot: async (method, ...args) => ({ method, args }),
+  callWorker: async method => {
+    throw new Error(`${method} failed`);
+  }
+});
+
+before(async () => {
+  controlServer = new ControlServer(launcher, { port: 0 });
+  controlServer.attach({ pilotPage, workerPage, workerService });
+  baseUrl = await controlServer.start();
+});
+
+after(async () => {
+  await controlServer.stop();
+});
+
+test('should give the launcher state and call connector methods over HTTP', async () => {
+  // Act
+  const state = await (await fetch(`${baseUrl}/state`)).json();
+  const pilotResponse = await fetch(`${baseUrl}/pilot/call`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ method: 'checkForElement', args: ['#login'] })
+  });
+  const workerResponse = await fetch(`${baseUrl}/worker/call`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ method: 'fillText' }) });
+
+  // Assert
+  assert.strictEqual(state.connector.slug, 'template');
+  assert.deepStrictEqual(state.pages.worker, { url: 'https://example.com/login', connected: false, state: 'navigating', handshakeInProgress: false, visible: false, urlMonitoring: true });
+  assert.strictEqual(state.pages.pilot.connected, true);
+  assert.strictEqual(state.steps[0].error.message, 'LOGIN_FAILED');
+  assert.deepStrictEqual(await pilotResponse.json(), { result: { method: 'checkForElement', args: ['#login'] } });
+  assert.strictEqual(workerResponse.status, 500);
+  assert.strictEqual((await workerResponse.json()).error.message, 'fillText failed');
+});
+
+test('should stream events and answer calls over WebSocket', async () => {
+  // Arrange
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  await once(socket, 'open');
+
+  // Act
+  pilotPage.emit('post-me:message', { pageName: 'pilot', direction: 'received', message: { action: 'call', methodName: 'runInWorker' }, timestamp: 1 });
+  workerService.emit('reconnection:success', { newUrl: 'https://example.com/bills', connection: { remoteHandle: () => {} } });
+  workerPage.emit('worker:initializing', { pageName: 'worker', url: 'https://example.com/bills', message: 'NEW_WORKER_INITIALIZING', timestamp: 2 });
+  socket.send(JSON.stringify({ id: 7, type: 'call', target: 'pilot', method: 'getDebugData', args: [] }));
+  while (!messages.some(message => message.id === 7)) {
+    await once(socket, 'message');
+  }
+  socket.close();
+  const { events } = await (await fetch(`${baseUrl}/events?since=0`)).json();
+
+  // Assert
+  assert.strictEqual(messages[0].type, 'state');
+  assert.deepStrictEqual(
+    messages.slice(1, 4).map(message => message.type),
+    ['post-me', 'reconnection:success', 'worker:initializing']
+  );
+  assert.strictEqual(messages[2].connection, undefined);
+  assert.strictEqual(messages[3].page, 'worker');
+  assert.deepStrictEqual(
+    messages.find(message => message.id === 7),
+    { id: 7, type: 'result', result: { method: 'getDebugData', args: [] } }
+  );
+  assert.deepStrictEqual(
+    events.map(event => event.seq),
+    [1, 2, 3]
+  );
+});
+
+test('should refuse requests from pages of other websites', async () => {
+  // Arrange
+  const wsUrl = `${baseUrl.replace('http', 'ws')}/ws`;
+  const foreignSocket = new WebSocket(wsUrl, { origin: 'https://evil.example.com' });
+  const localSocket = new WebSocket(wsUrl, { origin: 'http://localhost:5173' });
+
+  // Act
+  const [error] = await once(foreignSocket, 'error');
+  await once(localSocket, 'open');
+  localSocket.close();
+  const httpResponse = await fetch(`${baseUrl}/pilot/call`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', origin: 'http://127.0.0.1.evil.example.com' },
+    body: JSON.stringify({ method: 'fetch' })
+  });
+
+  // Assert
+  assert.match(error.message, /Unexpected server response: 401/);
+  assert.strictEqual(httpResponse.status, 403);
+});
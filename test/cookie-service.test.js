@@ -0,0 +1,53 @@
+/**
+ * Tests for CookieService
+ * Uses a fake browser context, no browser needed
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { CookieService } from '../src/services/cookie-service.js';
+
+function createFakeContext(cookies) {
+  const requestedUrls = [];
+  return {
+    requestedUrls,
+    cookies: async url => {
+      requestedUrls.push(url);
+      return cookies;
+    }
+  };
+}
+
+test('should return cookies indexed by name in the React Native launcher shape', async () => {
+  // Arrange
+  const context = createFakeContext([
+    { name: 'session', value: 'abc', domain: '.example.com', path: '/', expires: 1700000000, httpOnly: true, secure: true, sameSite: 'Lax' },
+    { name: 'lang', value: 'fr', domain: 'www.example.com', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+  ]);
+  const cookieService = new CookieService(context);
+
+  // Act
+  const cookies = await cookieService.getCookiesByDomain('www.example.com');
+
+  // Assert
+  assert.deepStrictEqual(context.requestedUrls, ['https://www.example.com'], 'Should default to https protocol');
+  assert.deepStrictEqual(Object.keys(cookies), ['session', 'lang']);
+  assert.strictEqual(cookies.session.expires, new Date(1700000000 * 1000).toISOString(), 'Expiration should be an ISO string');
+  assert.strictEqual(cookies.lang.expires, undefined, 'Session cookies should have no expiration');
+  assert.strictEqual(cookies.session.sameSite, undefined, 'Playwright only attributes should not be returned');
+});
+
+test('should return a cookie by domain and name or null', async () => {
+  // Arrange
+  const context = createFakeContext([{ name: 'token', value: 'xyz', domain: 'example.com', path: '/', expires: -1, httpOnly: false, secure: true }]);
+  const cookieService = new CookieService(context);
+
+  // Act
+  const cookie = await cookieService.getCookieByDomainAndName('http://example.com', 'token');
+  const missing = await cookieService.getCookieByDomainAndName('example.com', 'missing');
+
+  // Assert
+  assert.strictEqual(context.requestedUrls[0], 'http://example.com', 'Should keep an explicit protocol');
+  assert.strictEqual(cookie.value, 'xyz');
+  assert.strictEqual(missing, null);
+});
@@ -241,6 +241,63 @@ test('should establish connection and respond to ping', async () => {
   }
 });
 
+test('should start the handshake as soon as the connector signals it is ready', async () => {
+  // Arrange
+  const testPage = new CliskPage(context, 'ready-test');
+  let readyEvent = null;
+  testPage.on('worker:initializing', event => (readyEvent = event));
+
+  try {
+    await testPage.init();
+    await testPage.navigate('about:blank');
+
+    // Act
+    await testPage.loadConnector('examples/evaluate-konnector', loadConnector);
+    const startTime = Date.now();
+    const connection = await testPage.initiateHandshake({ waitTime: 10000 });
+
+    // Assert
+    assert.ok(connection, 'Connection should be established');
+    assert.ok(readyEvent, 'The ContentScript should send NEW_WORKER_INITIALIZING');
+    assert.strictEqual(readyEvent.pageName, 'ready-test');
+    assert.ok(Date.now() - startTime < 5000, 'Handshake should not wait for the fallback delay');
+  } finally {
+    // Cleanup
+    await testPage.close();
+  }
+});
+
+test('should report the values of a ContentScript response which JSON would alter in strict JSON mode', async () => {
+  // Arrange
+  const testPage = new CliskPage(context, 'worker', { strictJson: true });
+  const alterations = [];
+  testPage.on('json:alteration', alteration => alterations.push(alteration));
+
+  try {
+    await testPage.init();
+    await testPage.navigate('about:blank');
+    await testPage.loadConnector('examples/evaluate-konnector', loadConnector);
+    const connection = await testPage.initiateHandshake({ waitTime: 10000 }, 'worker');
+
+    // Act
+    // ContentScriptMessenger stringifies the response itself before calling ReactNativeWebView.postMessage
+    const result = await connection.remoteHandle().call('evaluate', '() => ({ date: new Date(0), amount: NaN, name: "bill" })');
+
+    // Assert
+    assert.deepStrictEqual(result, { date: '1970-01-01T00:00:00.000Z', amount: null, name: 'bill' });
+    assert.deepStrictEqual(
+      alterations.map(({ direction, method, path, problem }) => ({ direction, method, path, problem })),
+      [
+        { direction: 'received', method: 'response of evaluate', path: 'result.date', problem: 'Date becomes the string "1970-01-01T00:00:00.000Z"' },
+        { direction: 'received', method: 'response of evaluate', path: 'result.amount', problem: 'NaN becomes null' }
+      ]
+    );
+  } finally {
+    // Cleanup
+    await testPage.close();
+  }
+});
+
 test('should handle worker and pilot pages simultaneously', async () => {
   // Arrange
   let workerPingCalled = false;
@@ -0,0 +1,46 @@
+/**
+ * Tests for the JSON fidelity checks of strict JSON mode
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { findJsonAlterations } from '../src/json-fidelity.js';
+
+test('should name the path of each value altered or lost by JSON', () => {
+  // Arrange
+  const message = {
+    type: '@post-me',
+    action: 'call',
+    methodName: 'saveBills',
+    args: [{ date: new Date('2024-06-15T12:00:00.000Z'), amount: NaN, vendorRef: undefined, 'sub-path': [undefined, , 3], ids: new Set([1]) }]
+  };
+
+  // Act
+  const alterations = findJsonAlterations(message);
+
+  // Assert
+  assert.deepStrictEqual(alterations, [
+    { path: 'args[0].date', problem: 'Date becomes the string "2024-06-15T12:00:00.000Z"', fatal: false },
+    { path: 'args[0].amount', problem: 'NaN becomes null', fatal: false },
+    { path: 'args[0].vendorRef', problem: 'undefined property is dropped', fatal: false },
+    { path: 'args[0]["sub-path"][0]', problem: 'undefined becomes null', fatal: false },
+    { path: 'args[0]["sub-path"][1]', problem: 'empty array slot becomes null', fatal: false },
+    { path: 'args[0].ids', problem: 'Set becomes {}', fatal: false }
+  ]);
+  assert.deepStrictEqual(findJsonAlterations({ result: [{ name: 'bill.pdf', size: 10, metadata: null }] }), []);
+});
+
+test('should report the values which JSON cannot serialize as fatal', () => {
+  // Arrange
+  const file = { name: 'bill.pdf' };
+  file.parent = { children: [file] };
+
+  // Act
+  const alterations = findJsonAlterations({ args: [file, 10n] });
+
+  // Assert
+  assert.deepStrictEqual(alterations, [
+    { path: 'args[0].parent.children[0]', problem: 'circular reference cannot be serialized', fatal: true },
+    { path: 'args[1]', problem: 'BigInt cannot be serialized', fatal: true }
+  ]);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the local keychain emulation
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Keychain } from '../src/keychain.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-keychain-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should save and read cookies per connector and account, encrypted at rest', async () => {
+  // Arrange
+  const filePath = path.join(tmpDir, 'keychain.json');
+  const keychain = new Keychain({ filePath, keyPath: path.join(tmpDir, 'keychain.key') });
+
+  // Act
+  await keychain.saveCookie('template', 'john@example.com', { name: 'session', value: 'secret-value' });
+  await keychain.saveCookie('other', 'jane@example.com', { name: 'session', value: 'other-value' });
+
+  // Assert
+  const cookie = await keychain.getCookie('template', 'john@example.com', 'session');
+  assert.strictEqual(cookie.value, 'secret-value');
+  assert.strictEqual(await keychain.getCookie('template', 'jane@example.com', 'session'), null, 'Accounts should be isolated');
+
+  const raw = await fs.readFile(filePath, 'utf-8');
+  assert.ok(!raw.includes('secret-value'), 'Cookie value should not be stored in clear');
+  assert.ok(!raw.includes('john@example.com'), 'Account should not be stored in clear');
+});
+
+test('should use the last account when sourceAccountIdentifier is not known yet', async () => {
+  // Arrange
+  const keychain = new Keychain({ filePath: path.join(tmpDir, 'last-account.json'), secret: 'test-secret' });
+  await keychain.saveCookie('template', 'john@example.com', { name: 'token', value: 'abc' });
+
+  // Act
+  const cookie = await new Keychain({ filePath: path.join(tmpDir, 'last-account.json'), secret: 'test-secret' }).getCookie('template', null, 'token');
+
+  // Assert
+  assert.strictEqual(cookie.value, 'abc');
+});
+
+test('should list and clear entries', async () => {
+  // Arrange
+  const keychain = new Keychain({ filePath: path.join(tmpDir, 'clear.json'), secret: 'test-secret' });
+  await keychain.saveCookie('template', 'john@example.com', { name: 'a', value: '1' });
+  await keychain.saveCookie('template', 'jane@example.com', { name: 'b', value: '2' });
+  await keychain.saveCookie('other', 'john@example.com', { name: 'c', value: '3' });
+
+  // Act & Assert
+  assert.strictEqual((await keychain.list()).length, 3);
+
+  await keychain.clear('template', 'jane@example.com');
+  assert.deepStrictEqual(
+    (await keychain.list()).map(entry => `${entry.slug}/${entry.sourceAccountIdentifier}`),
+    ['template/john@example.com', 'other/john@example.com']
+  );
+
+  await keychain.clear('template');
+  assert.deepStrictEqual(
+    (await keychain.list()).map(entry => entry.slug),
+    ['other']
+  );
+
+  await keychain.clear();
+  assert.deepStrictEqual(await keychain.list(), []);
+});
+
+test('should clear all entries without the key they were encrypted with', async () => {
+  // Arrange
+  const filePath = path.join(tmpDir, 'lost-key.json');
+  await new Keychain({ filePath, secret: 'old-secret' }).saveCookie('template', 'john@example.com', { name: 'a', value: '1' });
+  const keychain = new Keychain({ filePath, secret: 'new-secret' });
+  await assert.rejects(keychain.list(), /Cannot decrypt keychain/);
+
+  // Act
+  await keychain.clear();
+
+  // Assert
+  assert.deepStrictEqual(await keychain.list(), []);
+  await keychain.clear();
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the launcher context (account, trigger and job documents)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadLauncherContext, saveJobResult, simulateTriggerState, startNextJob } from '../src/launcher-context.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const konnector = { slug: 'template', name: 'Template' };
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-context-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should create account, trigger and job on first use', async () => {
+  // Act
+  const { account, trigger, job } = await loadLauncherContext(konnector, {}, tmpDir);
+
+  // Assert
+  assert.strictEqual(account._type, 'io.cozy.accounts');
+  assert.strictEqual(account.account_type, 'template');
+  assert.strictEqual(trigger.message.account, account._id);
+  assert.strictEqual(job.message.account, account._id);
+  assert.strictEqual(trigger.current_state.last_success, undefined, 'A new trigger should never have run');
+});
+
+test('should keep account and record job results between executions', async () => {
+  // Arrange
+  const firstContext = await loadLauncherContext(konnector, {}, tmpDir);
+
+  // Act
+  await saveJobResult(firstContext, null, tmpDir);
+  const secondContext = await loadLauncherContext(konnector, {}, tmpDir);
+  await saveJobResult(secondContext, new Error('LOGIN_FAILED'), tmpDir);
+  const thirdContext = await loadLauncherContext(konnector, {}, tmpDir);
+
+  // Assert
+  assert.strictEqual(secondContext.account._id, firstContext.account._id, 'Account should be persisted');
+  assert.ok(secondContext.trigger.current_state.last_success, 'Success should be recorded');
+  assert.notStrictEqual(secondContext.job._id, firstContext.job._id, 'Each execution should have its own job');
+  assert.strictEqual(thirdContext.trigger.current_state.status, 'errored');
+  assert.strictEqual(thirdContext.trigger.current_state.last_error, 'LOGIN_FAILED');
+  assert.ok(thirdContext.trigger.current_state.last_failure >= thirdContext.trigger.current_state.last_success);
+});
+
+test('should save the job result on the stored trigger state, not on the simulated one', async () => {
+  // Arrange
+  const dir = path.join(tmpDir, 'simulation');
+  await saveJobResult(await loadLauncherContext(konnector, {}, dir), null, dir);
+  const simulatedContext = await loadLauncherContext(konnector, { lastJobError: true, lastExecutionDays: 40 }, dir);
+  assert.strictEqual(simulatedContext.trigger.current_state.last_error, 'UNKNOWN_ERROR');
+
+  // Act
+  await saveJobResult(simulatedContext, null, dir);
+  const { trigger } = await loadLauncherContext(konnector, {}, dir);
+
+  // Assert
+  assert.strictEqual(trigger.current_state.status, 'done');
+  assert.strictEqual(trigger.current_state.last_failure, undefined, 'The simulated failure should not be persisted');
+  assert.strictEqual(trigger.current_state.last_error, undefined);
+  assert.ok(Date.now() - Date.parse(trigger.current_state.last_success) < DAY);
+});
+
+test('should give a new job on the saved trigger state to the next execution of the same process', async () => {
+  // Arrange
+  const dir = path.join(tmpDir, 'rerun');
+  const launcherContext = await loadLauncherContext(konnector, { lastJobError: true }, dir);
+  const firstJob = launcherContext.job;
+  await saveJobResult(launcherContext, null, dir);
+
+  // Act
+  const secondJob = startNextJob(launcherContext);
+  await saveJobResult(launcherContext, new Error('VENDOR_DOWN'), dir);
+  const { trigger } = await loadLauncherContext(konnector, {}, dir);
+
+  // Assert
+  assert.notStrictEqual(secondJob._id, firstJob._id);
+  assert.strictEqual(launcherContext.job, secondJob);
+  assert.strictEqual(firstJob.state, 'done');
+  assert.strictEqual(secondJob.state, 'errored');
+  assert.deepStrictEqual(launcherContext.trigger.current_state, trigger.current_state, 'The context should match the saved state');
+  assert.strictEqual(trigger.current_state.last_successful_job_id, firstJob._id);
+  assert.strictEqual(trigger.current_state.last_executed_job_id, secondJob._id);
+  assert.strictEqual(trigger.current_state.last_error, 'VENDOR_DOWN');
+});
+
+test('should simulate trigger states', () => {
+  const now = Date.parse('2024-06-15T12:00:00.000Z');
+  const previous = { status: 'done', last_success: '2024-06-14T12:00:00.000Z', last_execution: '2024-06-14T12:00:00.000Z' };
+
+  // First run
+  assert.deepStrictEqual(simulateTriggerState(previous, { firstRun: true }, now), { status: 'queued' });
+
+  // No simulation keeps the previous state
+  assert.deepStrictEqual(simulateTriggerState(previous, {}, now), previous);
+
+  // Last execution N days ago
+  const oldExecution = simulateTriggerState(previous, { lastExecutionDays: 40 }, now);
+  assert.strictEqual(oldExecution.last_execution, new Date(now - 40 * DAY).toISOString());
+  assert.strictEqual(oldExecution.last_success, oldExecution.last_execution);
+
+  // Last job in error
+  const lastError = simulateTriggerState(previous, { lastJobError: true, lastExecutionDays: 2 }, now);
+  assert.strictEqual(lastError.status, 'errored');
+  assert.strictEqual(lastError.last_failure, new Date(now - 2 * DAY).toISOString());
+  assert.ok(lastError.last_failure > lastError.last_success, 'Failure should be after the last success');
+});
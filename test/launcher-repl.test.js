@@ -0,0 +1,47 @@
+/**
+ * Tests for the launcher REPL
+ * A plain object stands for the launcher, the REPL is driven through streams
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { startLauncherRepl, getConnectorMethodNames, completeMethodName } from '../src/launcher-repl.js';
+
+test('should complete ContentScript and connector method names in call arguments', () => {
+  // Arrange
+  const methodNames = getConnectorMethodNames('examples/sample-konnector');
+
+  // Act & Assert
+  assert.ok(methodNames.includes('checkForElement'));
+  assert.ok(methodNames.includes('parseBills'));
+  assert.deepStrictEqual(completeMethodName("await worker.call('parse", methodNames), [['parseBills', 'parseIdentity'], 'parse']);
+  assert.deepStrictEqual(completeMethodName('pilot.call("fe', methodNames), [['fetch'], 'fe']);
+  assert.strictEqual(completeMethodName('pilot.ca', methodNames), null);
+});
+
+test('should call pilot methods and run commands', async () => {
+  // Arrange
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let printed = '';
+  output.on('data', data => (printed += data));
+  const calls = [];
+  const launcher = {
+    connectorPath: 'examples/sample-konnector',
+    context: { cookies: async () => [{ name: 'session-cookie', domain: 'example.com' }] },
+    callPilot: async (method, ...args) => calls.push([method, ...args])
+  };
+
+  // Act
+  const replClosed = startLauncherRepl(launcher, { input, output });
+  input.write("await pilot.call('checkForElement', '#login')\n");
+  input.write('.cookies\n');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  input.end();
+  await replClosed;
+
+  // Assert
+  assert.deepStrictEqual(calls, [['checkForElement', '#login']]);
+  assert.ok(printed.includes('session-cookie'));
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the HAR recording and replay of the page network
+ * Uses a fake browser context, no browser needed
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveHarOptions, getRecordHarContextOptions, replayHarInContext } from '../src/network-har.js';
+
+test('should refuse to record and replay a HAR file at once', () => {
+  // Arrange
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clisk-har-'));
+  const harPath = path.join(dir, 'network.har');
+  fs.writeFileSync(harPath, '{}');
+
+  try {
+    // Act & Assert
+    assert.throws(() => resolveHarOptions({ recordHar: path.join(dir, 'new.har'), replayHar: harPath }), /--record-har and --replay-har cannot be used together/);
+    assert.throws(() => resolveHarOptions({ recordHar: '' }), /need a HAR file path/);
+    assert.throws(() => resolveHarOptions({ replayHar: path.join(dir, 'missing.har') }), /HAR file to replay not found/);
+    assert.deepStrictEqual(resolveHarOptions({ replayHar: harPath }), { recordHar: undefined, replayHar: harPath });
+    assert.deepStrictEqual(resolveHarOptions({}), { recordHar: undefined, replayHar: undefined });
+  } finally {
+    // Cleanup
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('should give recordHar in the context options and create its directory', () => {
+  // Arrange
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clisk-har-'));
+  const harPath = path.join(dir, 'har', 'network.zip');
+
+  try {
+    // Act
+    const contextOptions = { isMobile: true, ...getRecordHarContextOptions(harPath) };
+
+    // Assert
+    assert.deepStrictEqual(contextOptions, { isMobile: true, recordHar: { path: harPath, mode: 'full' } });
+    assert.ok(fs.existsSync(path.dirname(harPath)), 'The HAR directory should exist before the context writes the file');
+    assert.deepStrictEqual(getRecordHarContextOptions(undefined), {});
+  } finally {
+    // Cleanup
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('should answer the requests of the context with the HAR file and abort the missing ones', async () => {
+  // Arrange
+  const routes = [];
+  const context = { routeFromHAR: async (harPath, options) => routes.push([harPath, options]) };
+
+  // Act
+  await replayHarInContext(context, 'data/har/network.har');
+
+  // Assert
+  assert.deepStrictEqual(routes, [['data/har/network.har', { notFound: 'abort' }]]);
+});
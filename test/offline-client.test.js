@@ -0,0 +1,107 @@
+/**
+ * Tests for the offline client used instead of a Cozy instance
+ * Query definitions are plain objects with the same attributes as cozy-client QueryDefinition
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OfflineClient } from '../src/offline-client.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-offline-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should create directories and files on disk', async () => {
+  // Arrange
+  const dir = path.join(tmpDir, 'files');
+  const client = new OfflineClient({ dir, appMetadata: { slug: 'template' } });
+  const fileCollection = client.collection('io.cozy.files');
+
+  // Act
+  const dirId = await fileCollection.ensureDirectoryExists('/cliskDevRunner/template');
+  const { data: file } = await client.save({
+    _type: 'io.cozy.files',
+    type: 'file',
+    data: new TextEncoder().encode('%PDF-1.4').buffer,
+    name: 'bill.pdf',
+    dirId,
+    metadata: { fileIdAttributes: 'bill-1' },
+    sourceAccount: 'account-id',
+    sourceAccountIdentifier: 'john@example.com'
+  });
+
+  // Assert
+  assert.strictEqual((await fileCollection.statByPath('/cliskDevRunner/template')).data._id, dirId);
+  assert.strictEqual(file.mime, 'application/pdf');
+  assert.strictEqual(file.size, '8');
+  assert.strictEqual(file.cozyMetadata.createdByApp, 'template');
+  assert.strictEqual(file.cozyMetadata.sourceAccountIdentifier, 'john@example.com');
+  assert.strictEqual(await fs.readFile(path.join(dir, 'files', 'cliskDevRunner', 'template', 'bill.pdf'), 'utf-8'), '%PDF-1.4');
+
+  await assert.rejects(fileCollection.statByPath('/missing'), error => error.status === 404 && error.response.status === 404);
+  await assert.rejects(client.save({ _type: 'io.cozy.files', type: 'file', data: 'other', name: 'bill.pdf', dirId }), error => error.status === 409);
+});
+
+test('should query documents with mango selectors, references and sort', async () => {
+  // Arrange
+  const client = new OfflineClient({ dir: path.join(tmpDir, 'query'), appMetadata: { slug: 'template' } });
+  await client.save({ _type: 'io.cozy.bills', amount: 12, vendor: 'Template', date: new Date('2024-01-01'), cozyMetadata: { sourceAccountIdentifier: 'john' } });
+  await client.save({ _type: 'io.cozy.bills', amount: 30, vendor: 'Template', date: new Date('2024-02-01'), cozyMetadata: { sourceAccountIdentifier: 'john' } });
+  await client.save({ _type: 'io.cozy.bills', amount: 5, vendor: 'Template', date: new Date('2024-03-01'), cozyMetadata: { sourceAccountIdentifier: 'jane' } });
+  const { data: folder } = await client.collection('io.cozy.files').createDirectoryByPath('/cliskDevRunner/template');
+  await client.collection('io.cozy.files').addReferencesTo({ _type: 'io.cozy.konnectors', _id: 'io.cozy.konnectors/template' }, [folder]);
+
+  // Act
+  const johnBills = await client.queryAll({
+    doctype: 'io.cozy.bills',
+    selector: { cozyMetadata: { sourceAccountIdentifier: 'john' }, amount: { $gt: 10 } },
+    sort: [{ date: 'desc' }]
+  });
+  const dottedBills = await client.queryAll({ doctype: 'io.cozy.bills', selector: { 'cozyMetadata.sourceAccountIdentifier': 'jane' } });
+  const { included } = await client.query({
+    doctype: 'io.cozy.files',
+    selector: {},
+    partialFilter: { type: 'directory', trashed: false },
+    referenced: { _type: 'io.cozy.konnectors', _id: 'io.cozy.konnectors/template' }
+  });
+
+  // Assert
+  assert.deepStrictEqual(
+    johnBills.map(bill => bill.amount),
+    [30, 12]
+  );
+  assert.strictEqual(johnBills[0].date, '2024-02-01T00:00:00.000Z', 'Dates should be stored as JSON strings');
+  assert.deepStrictEqual(
+    dottedBills.map(bill => bill.amount),
+    [5]
+  );
+  assert.deepStrictEqual(
+    included.map(dir => dir.path),
+    ['/cliskDevRunner/template']
+  );
+});
+
+test('should persist documents between clients and detect revision conflicts', async () => {
+  // Arrange
+  const dir = path.join(tmpDir, 'persist');
+  const { data: identity } = await new OfflineClient({ dir, appMetadata: { slug: 'template' } }).save({ _type: 'io.cozy.identities', identifier: 'john' });
+
+  // Act
+  const client = new OfflineClient({ dir, appMetadata: { slug: 'template' } });
+  const { data: updated } = await client.save({ ...identity, contact: { name: { givenName: 'John' } } });
+
+  // Assert
+  assert.strictEqual(updated._id, identity._id);
+  assert.ok(updated._rev.startsWith('2-'), 'Revision should be incremented');
+  assert.strictEqual(updated.cozyMetadata.createdByApp, 'template');
+  await assert.rejects(client.save(identity), error => error.status === 409, 'Saving an old revision should conflict');
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the PilotService methods called by the pilot connector
+ * Uses fake pages and an offline stack in a temporary directory, no browser needed
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Q, QueryDefinition } from 'cozy-client';
+import { PilotService } from '../src/services/pilot-service.js';
+import { OfflineClient } from '../src/offline-client.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-pilot-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function createPilotService(client) {
+  const pilotService = new PilotService({ context: {} }, new EventEmitter(), {});
+  pilotService.setLauncherClient(client);
+  pilotService.setKonnector({ slug: 'template', name: 'Template', vendor_link: 'https://example.com' });
+  return pilotService;
+}
+
+test('should rebuild the query definition sent by the connector before calling queryAll', async () => {
+  // Arrange
+  const client = new OfflineClient({ dir: path.join(tmpDir, 'query-all'), appMetadata: { slug: 'template' } });
+  await client.save({ _type: 'io.cozy.bills', vendor: 'Template', amount: 10 });
+  await client.save({ _type: 'io.cozy.bills', vendor: 'Other', amount: 20 });
+  const queryDefinitions = [];
+  const queryAll = client.queryAll.bind(client);
+  client.queryAll = queryDef => {
+    queryDefinitions.push(queryDef);
+    return queryAll(queryDef);
+  };
+  const { queryAll: queryAllMethod } = createPilotService(client).getLocalMethods();
+  // The definition reaches the pilot service as a plain object, like after crossing post-me
+  const serializedQuery = JSON.parse(JSON.stringify(Q('io.cozy.bills').where({ vendor: 'Template' }).indexFields(['vendor'])));
+
+  // Act
+  const bills = await queryAllMethod(serializedQuery);
+
+  // Assert
+  assert.ok(queryDefinitions[0] instanceof QueryDefinition, 'cozy-client should receive a QueryDefinition');
+  assert.strictEqual(queryDefinitions[0].doctype, 'io.cozy.bills');
+  assert.deepStrictEqual(queryDefinitions[0].selector, { vendor: 'Template' });
+  assert.deepStrictEqual(
+    bills.map(bill => bill.amount),
+    [10]
+  );
+});
+
+test('should save bills with the source account and emit documents:saved', async () => {
+  // Arrange
+  const client = new OfflineClient({ dir: path.join(tmpDir, 'save-bills'), appMetadata: { slug: 'template' } });
+  const pilotService = createPilotService(client);
+  pilotService.setLauncherContext({ account: { _id: 'account-id' } });
+  pilotService.setUserData({ sourceAccountIdentifier: 'john@example.com' });
+  const savedEvents = [];
+  pilotService.on('documents:saved', event => savedEvents.push(event));
+  const { saveBills } = pilotService.getLocalMethods();
+  const entries = [
+    {
+      vendor: 'Template',
+      amount: 10,
+      currency: 'EUR',
+      date: new Date('2024-06-15T12:00:00.000Z'),
+      vendorRef: 'bill-1',
+      fileDocument: { _id: 'file-id', _type: 'io.cozy.files' }
+    }
+  ];
+
+  // Act
+  await saveBills(entries);
+  // Saved again like in the fetch-twice scenario, the bill must be found and not created twice
+  await saveBills(entries);
+
+  // Assert
+  const bills = await client.queryAll({ doctype: 'io.cozy.bills', selector: {} });
+  assert.strictEqual(bills.length, 1);
+  assert.strictEqual(bills[0].cozyMetadata.sourceAccount, 'account-id');
+  assert.strictEqual(bills[0].cozyMetadata.sourceAccountIdentifier, 'john@example.com');
+  assert.strictEqual(bills[0].invoice, 'io.cozy.files:file-id');
+  assert.strictEqual(savedEvents.length, 2);
+  assert.strictEqual(savedEvents[0].method, 'saveBills');
+  assert.strictEqual(savedEvents[0].doctype, 'io.cozy.bills');
+  assert.strictEqual(savedEvents[0].documents[0].vendorRef, 'bill-1');
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for post-me transcript recording and replay
+ * A plain EventEmitter stands for the CliskPage emitting post-me:message events
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PostMeRecorder, ReplayConnection, readTranscript } from '../src/post-me-transcript.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-transcript-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function recordWorkerRun(filePath) {
+  const workerPage = new EventEmitter();
+  const recorder = new PostMeRecorder(filePath, { connector: 'template' });
+  recorder.attach(workerPage);
+
+  const message = (direction, attributes) => workerPage.emit('post-me:message', { pageName: 'worker', direction, message: { type: '@post-me', sessionId: 1, ...attributes }, timestamp: Date.now() });
+  message('sent', { action: 'call', requestId: 1, methodName: 'checkAuthenticated', args: [] });
+  message('received', { action: 'event', eventName: 'workerEvent', payload: { event: 'loginSubmit' } });
+  message('received', { action: 'call', requestId: 1, methodName: 'sendToPilot', args: [{ token: 'abc' }] });
+  message('received', { action: 'response', requestId: 1, result: true });
+  message('sent', { action: 'call', requestId: 2, methodName: 'downloadFileInWorker', args: [{ fileurl: 'https://example.com/a.pdf' }] });
+  message('received', { action: 'response', requestId: 2, error: { name: 'Error', message: 'Download failed' } });
+  recorder.close();
+}
+
+test('should write a JSONL transcript with a header line', async () => {
+  // Arrange
+  const filePath = path.join(tmpDir, 'record', 'run.jsonl');
+
+  // Act
+  recordWorkerRun(filePath);
+  const { header, entries } = readTranscript(filePath);
+
+  // Assert
+  assert.strictEqual(header.connector, 'template');
+  assert.strictEqual(entries.length, 6);
+  assert.strictEqual(entries[0].page, 'worker');
+  assert.strictEqual(entries[0].direction, 'sent');
+  assert.ok(entries[0].elapsed >= 0);
+  assert.strictEqual((await fs.readFile(filePath, 'utf-8')).trim().split('\n').length, 7);
+});
+
+test('should replay recorded responses, events and calls of the worker', async () => {
+  // Arrange
+  const filePath = path.join(tmpDir, 'replay.jsonl');
+  recordWorkerRun(filePath);
+  const sentToPilot = [];
+  const events = [];
+  const connection = new ReplayConnection(readTranscript(filePath).entries, { sendToPilot: async obj => sentToPilot.push(obj) });
+  connection.remoteHandle().addEventListener('workerEvent', event => events.push(event));
+
+  // Act
+  const authenticated = await connection.remoteHandle().call('checkAuthenticated');
+
+  // Assert
+  assert.strictEqual(authenticated, true);
+  assert.deepStrictEqual(events, [{ event: 'loginSubmit' }], 'Events before the response should be replayed');
+  assert.deepStrictEqual(sentToPilot, [{ token: 'abc' }], 'Calls made by the worker should be replayed');
+  assert.deepStrictEqual(connection.getRemainingCalls(), ['downloadFileInWorker']);
+  await assert.rejects(connection.remoteHandle().call('downloadFileInWorker', { fileurl: 'https://example.com/a.pdf' }), { message: 'Download failed' });
+  await assert.rejects(connection.remoteHandle().call('checkAuthenticated'), /REPLAY_DIVERGED/);
+});
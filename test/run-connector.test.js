@@ -0,0 +1,61 @@
+/**
+ * Tests for the programmatic runConnector API
+ * Runs the saveIdentity connector headless against an offline stack in a temporary directory
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runConnector } from '../src/run-connector.js';
+import { OfflineClient } from '../src/offline-client.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-run-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should run a connector and return calls, documents and timings', async () => {
+  // Arrange
+  const client = new OfflineClient({ dir: tmpDir, appMetadata: { slug: 'template' } });
+
+  // Act
+  const result = await runConnector({ connectorPath: 'examples/saveIdentity-konnector', client });
+
+  // Assert
+  assert.strictEqual(result.success, true, result.error?.message);
+  assert.deepStrictEqual(
+    result.steps.map(step => step.step),
+    ['ensureAuthenticated', 'getUserDataFromWebsite', 'fetch']
+  );
+  assert.strictEqual(result.steps[1].result.sourceAccountIdentifier, 'bilboTheHobbit');
+
+  const saveIdentityCall = result.calls.find(call => call.method === 'saveIdentity');
+  assert.strictEqual(saveIdentityCall.caller, 'connector');
+  assert.strictEqual(saveIdentityCall.page, 'pilot');
+  assert.ok(saveIdentityCall.duration >= 0);
+
+  assert.strictEqual(result.documents.length, 1);
+  assert.strictEqual(result.documents[0].doctype, 'io.cozy.identities');
+  assert.strictEqual(result.documents[0].document.contact.name.givenName, 'Bilbo');
+  assert.strictEqual((await client.queryAll({ doctype: 'io.cozy.identities', selector: {} })).length, 1);
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.ok(result.timings.total >= result.timings.init + result.timings.run);
+});
+
+test('should report errors instead of throwing', async () => {
+  // Act
+  const result = await runConnector({ connectorPath: 'examples/missing-konnector', client: new OfflineClient({ dir: path.join(tmpDir, 'missing') }) });
+
+  // Assert
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.errors[0].source, 'init');
+  assert.match(result.error.message, /ENOENT/);
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the run report
+ * Plain EventEmitters stand for the pilot page and the services
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunReportCollector, writeRunReport } from '../src/run-report.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clisk-report-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('should collect an execution and write JSON and HTML reports', async () => {
+  // Arrange
+  const pilotPage = new EventEmitter();
+  const pilotService = new EventEmitter();
+  const workerService = new EventEmitter();
+  const collector = new RunReportCollector();
+  collector.attach({ pilotPage, pilotService, workerService });
+  const now = Date.now();
+
+  // Act
+  pilotPage.emit('post-me:message', {
+    pageName: 'pilot',
+    direction: 'received',
+    message: { action: 'call', sessionId: 1, requestId: 4, methodName: 'runInWorker', args: ['getBills', 2024] },
+    timestamp: now
+  });
+  pilotPage.emit('post-me:message', { pageName: 'pilot', direction: 'sent', message: { action: 'response', sessionId: 1, requestId: 4, result: ['bill'] }, timestamp: now + 120 });
+  workerService.emit('url-change', { oldUrl: 'about:blank', newUrl: 'https://example.com/?q=<script>', timestamp: now });
+  workerService.emit('reconnection:start', {});
+  workerService.emit('reconnection:success', {});
+  pilotService.emit('files:saved', { method: 'saveFiles', files: [{ _id: 'file-1', name: 'bill.pdf', size: '8' }] });
+  pilotService.emit('documents:saved', { method: 'saveIdentity', doctype: 'io.cozy.identities', documents: [{ identifier: 'john', contact: {} }] });
+  pilotService.emit('documents:saved', { method: 'saveBills', doctype: 'io.cozy.bills', documents: [{}, {}] });
+  await fs.writeFile(path.join(tmpDir, 'worker.png'), 'fake png');
+  collector.addSnapshots([{ page: 'worker', url: 'https://example.com/login', title: 'Login', files: { screenshot: 'worker.png', html: 'worker.html', json: 'worker.json' }, errors: [] }]);
+
+  const report = collector.build({
+    konnector: { slug: 'template', name: 'Template', version: '1.0.0' },
+    scenario: ['ensureAuthenticated', 'fetch'],
+    steps: [
+      { step: 'ensureAuthenticated', startedAt: now, duration: 50 },
+      { step: 'fetch', startedAt: now + 50, duration: 10, error: new Error('VENDOR_DOWN') }
+    ],
+    error: new Error('VENDOR_DOWN')
+  });
+  const { jsonPath, htmlPath } = await writeRunReport(report, tmpDir);
+
+  // Assert
+  assert.deepStrictEqual(report.runInWorker, [{ method: 'getBills', startedAt: new Date(now).toISOString(), duration: 120, resultSize: 8, error: undefined }]);
+  assert.strictEqual(report.navigations[0].to, 'https://example.com/?q=<script>');
+  assert.deepStrictEqual(report.reconnections, { started: 1, succeeded: 1, failed: 0, superseded: 0, errors: [] });
+  assert.deepStrictEqual(report.files, [{ method: 'saveFiles', name: 'bill.pdf', path: undefined, size: 8, id: 'file-1' }]);
+  assert.strictEqual(report.identities[0].identifier, 'john');
+  assert.deepStrictEqual(report.documentCounts, { 'io.cozy.identities': 1, 'io.cozy.bills': 2 });
+  assert.strictEqual(report.success, false);
+  assert.strictEqual(report.steps[1].error.message, 'VENDOR_DOWN');
+
+  assert.strictEqual(JSON.parse(await fs.readFile(jsonPath, 'utf-8')).connector.slug, 'template');
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  assert.ok(html.includes('VENDOR_DOWN'));
+  assert.ok(!html.includes('<script>'), 'Report content should be escaped');
+  assert.ok(html.includes(`src="data:image/png;base64,${Buffer.from('fake png').toString('base64')}"`), 'Screenshots should be embedded');
+  assert.ok(!/<link|src="(?!data:)/.test(html), 'HTML report should be self-contained');
+});
+
+test('should only report the next execution once reset', () => {
+  // Arrange
+  const pilotPage = new EventEmitter();
+  const pilotService = new EventEmitter();
+  const workerService = new EventEmitter();
+  const collector = new RunReportCollector(Date.parse('2024-06-15T12:00:00.000Z'));
+  collector.attach({ pilotPage, pilotService, workerService });
+  workerService.emit('reconnection:start', {});
+  collector.addSnapshots([{ page: 'worker', files: {}, errors: [] }]);
+
+  // Act
+  collector.reset(Date.parse('2024-06-15T12:05:00.000Z'));
+  workerService.emit('url-change', { oldUrl: 'about:blank', newUrl: 'https://example.com/login', timestamp: Date.now() });
+  const report = collector.build({ konnector: null, scenario: [], error: new Error('Handshake timeout') });
+
+  // Assert
+  assert.strictEqual(report.startedAt, '2024-06-15T12:05:00.000Z');
+  assert.strictEqual(report.reconnections.started, 0);
+  assert.deepStrictEqual(report.snapshots, []);
+  assert.strictEqual(report.navigations.length, 1);
+  assert.strictEqual(report.error.message, 'Handshake timeout');
+});
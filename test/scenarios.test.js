@@ -0,0 +1,30 @@
+/**
+ * Tests for the scenarios run by PlaywrightLauncher.start()
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { resolveScenario, SCENARIOS } from '../src/scenarios.js';
+
+test('should resolve named scenarios and lists of steps', () => {
+  // Act & Assert
+  assert.deepStrictEqual(resolveScenario(), SCENARIOS.default);
+  assert.deepStrictEqual(resolveScenario('logout'), ['ensureNotAuthenticated', 'ensureAuthenticated', 'getUserDataFromWebsite', 'fetch']);
+  assert.deepStrictEqual(resolveScenario('ensureAuthenticated, getUserDataFromWebsite,fetch'), ['ensureAuthenticated', 'getUserDataFromWebsite', 'fetch']);
+  assert.deepStrictEqual(resolveScenario(['ensureNotAuthenticated']), ['ensureNotAuthenticated']);
+});
+
+test('should reject unknown scenarios and steps', () => {
+  // Act & Assert
+  assert.throws(() => resolveScenario('ensureAuthenticated,login,logout'), /Unknown scenario or steps: login, logout\. Available scenarios: default, logout, fetch-twice, auth-only/);
+  assert.throws(() => resolveScenario('full-sync'), /Unknown scenario or steps: full-sync/);
+});
+
+test('should require getUserDataFromWebsite before fetch, unless the user data is already known', () => {
+  // Act & Assert
+  assert.throws(() => resolveScenario('ensureAuthenticated,fetch'), /must call getUserDataFromWebsite before fetch/);
+  assert.throws(() => resolveScenario('fetch,getUserDataFromWebsite'), /must call getUserDataFromWebsite before fetch/);
+  assert.deepStrictEqual(resolveScenario('fetch', { hasUserData: true }), ['fetch']);
+  assert.deepStrictEqual(resolveScenario('ensureAuthenticated,fetch', { hasUserData: true }), ['ensureAuthenticated', 'fetch']);
+  assert.deepStrictEqual(resolveScenario('auth-only'), ['ensureAuthenticated', 'getUserDataFromWebsite']);
+});
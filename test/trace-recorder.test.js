@@ -0,0 +1,79 @@
+/**
+ * Tests for the trace recorder
+ * A fake context.tracing records the group calls
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { TraceRecorder } from '../src/trace-recorder.js';
+
+function createFakeContext() {
+  const calls = [];
+  return {
+    calls,
+    tracing: {
+      start: async options => calls.push(['start', options.title]),
+      stop: async options => calls.push(['stop', options.path]),
+      group: async name => calls.push(['group', name]),
+      groupEnd: async () => calls.push(['groupEnd'])
+    }
+  };
+}
+
+test('should group runInWorker calls per request, mark reconnections, and close open groups on stop', async () => {
+  // Arrange
+  const context = createFakeContext();
+  const pilotPage = new EventEmitter();
+  const workerService = new EventEmitter();
+  const recorder = new TraceRecorder(context);
+  recorder.attach({ pilotPage, workerService });
+  await recorder.start('template');
+
+  // Act
+  recorder.group('fetch');
+  pilotPage.emit('post-me:message', { direction: 'received', message: { action: 'call', sessionId: 1, requestId: 3, methodName: 'runInWorker', args: ['getBills'] } });
+  pilotPage.emit('post-me:message', { direction: 'sent', message: { action: 'response', sessionId: 1, requestId: 2 } });
+  workerService.emit('reconnection:start', { newUrl: 'https://example.com/bills' });
+  workerService.emit('reconnection:superseded', { newUrl: 'https://example.com/bills' });
+  pilotPage.emit('post-me:message', { direction: 'sent', message: { action: 'response', sessionId: 1, requestId: 3 } });
+  pilotPage.emit('post-me:message', { direction: 'received', message: { action: 'call', sessionId: 1, requestId: 4, methodName: 'runInWorker', args: ['getFiles'] } });
+  const tracePath = await recorder.stop('/tmp/clisk-trace-test/trace.zip');
+
+  // Assert
+  assert.strictEqual(tracePath, '/tmp/clisk-trace-test/trace.zip');
+  assert.deepStrictEqual(context.calls, [
+    ['start', 'template'],
+    ['group', 'fetch'],
+    ['group', 'runInWorker getBills'],
+    ['group', 'Worker reconnection to https://example.com/bills'],
+    ['groupEnd'],
+    ['group', 'Worker reconnection to https://example.com/bills superseded by a new navigation'],
+    ['groupEnd'],
+    ['groupEnd'],
+    ['group', 'runInWorker getFiles'],
+    ['groupEnd'],
+    ['groupEnd'],
+    ['stop', '/tmp/clisk-trace-test/trace.zip']
+  ]);
+});
+
+test('should close the groups opened inside a group which ends first', async () => {
+  // Arrange
+  const context = createFakeContext();
+  const recorder = new TraceRecorder(context);
+  await recorder.start('template');
+  const step = recorder.group('fetch');
+  const firstCall = recorder.group('runInWorker getBills');
+  const secondCall = recorder.group('runInWorker getFiles');
+
+  // Act
+  recorder.groupEnd(firstCall);
+  recorder.groupEnd(secondCall);
+  recorder.groupEnd(step);
+  recorder.groupEnd(step);
+
+  // Assert
+  assert.deepStrictEqual(context.calls.slice(4), [['groupEnd'], ['groupEnd'], ['groupEnd']]);
+  assert.deepStrictEqual(recorder.openGroups, []);
+});
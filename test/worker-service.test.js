@@ -0,0 +1,101 @@
+/**
+ * Tests for WorkerService
+ * Uses fake worker pages, no browser needed
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter, once } from 'events';
+import { WorkerService } from '../src/services/worker-service.js';
+import { ConnectionState } from '../src/connection-state.js';
+
+function createFakeWorkerPage({ initiateHandshake }) {
+  const page = new EventEmitter();
+  const mainFrame = { url: () => page.currentUrl };
+  page.currentUrl = 'about:blank';
+  page.url = () => page.currentUrl;
+  page.mainFrame = () => mainFrame;
+  page.isClosed = () => false;
+  page.context = () => ({ isConnected: () => true });
+  page.waitForLoadState = async () => {};
+  page.navigate = url => {
+    page.currentUrl = url;
+    page.emit('framenavigated', mainFrame);
+  };
+
+  const workerPage = new EventEmitter();
+  workerPage.pageName = 'worker';
+  workerPage.context = {};
+  workerPage.connectionState = new ConnectionState();
+  workerPage.connectorPath = 'examples/evaluate-konnector';
+  workerPage.loaderFunction = async () => {};
+  workerPage.getPage = () => page;
+  workerPage.getConnection = () => null;
+  workerPage.initiateHandshake = initiateHandshake;
+  return { workerPage, page };
+}
+
+test('should fail the calls waiting for the worker when the handshake fails during a reconnection', async () => {
+  // Arrange
+  const unhandledRejections = [];
+  const onUnhandledRejection = reason => unhandledRejections.push(reason);
+  process.on('unhandledRejection', onUnhandledRejection);
+  const { workerPage, page } = createFakeWorkerPage({
+    initiateHandshake: async () => {
+      workerPage.connectionState.transition('handshaking');
+      throw new Error('Handshake failed');
+    }
+  });
+  const workerService = new WorkerService(workerPage);
+  const reconnectionError = once(workerService, 'reconnection:error');
+  workerService.enableUrlMonitoring();
+
+  try {
+    // Act
+    workerPage.connectionState.transition('navigating', { url: 'https://example.com/login' });
+    const connected = workerService.waitUntilConnected({ timeout: 1000 });
+    page.navigate('https://example.com/login');
+    const [{ error }] = await reconnectionError;
+
+    // Assert
+    assert.strictEqual(error, 'Handshake failed');
+    await assert.rejects(connected, /Handshake failed/);
+    await assert.rejects(workerService.waitUntilConnected({ timeout: 1000 }), /Handshake failed/, 'Later calls should fail right away');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(unhandledRejections, []);
+  } finally {
+    // Cleanup
+    process.off('unhandledRejection', onUnhandledRejection);
+    workerService.cleanup();
+  }
+});
+
+test('should forward the worker sendToPilot calls to the pilot storeFromWorker', async () => {
+  // Arrange
+  const pilotCalls = [];
+  let pilotConnection = {
+    remoteHandle: () => ({
+      call: async (method, ...args) => {
+        pilotCalls.push([method, ...args]);
+        if (args[0].fail) {
+          throw new Error('storeFromWorker failed');
+        }
+        return true;
+      }
+    })
+  };
+  const pilotPage = { getConnection: () => pilotConnection };
+  const { workerPage } = createFakeWorkerPage({});
+  const { sendToPilot } = new WorkerService(workerPage, pilotPage).getLocalMethods();
+
+  // Act
+  const result = await sendToPilot({ bills: [{ amount: 10 }] });
+
+  // Assert
+  assert.strictEqual(result, true);
+  assert.deepStrictEqual(pilotCalls, [['storeFromWorker', { bills: [{ amount: 10 }] }]]);
+  await assert.rejects(sendToPilot({ fail: true }), /storeFromWorker failed/, 'Pilot errors should reach the worker');
+  pilotConnection = null;
+  await assert.rejects(sendToPilot({ bills: [] }), /Pilot connection not available/);
+  await assert.rejects(new WorkerService(workerPage).getLocalMethods().sendToPilot({}), /Pilot connection not available/);
+});